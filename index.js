@@ -2,7 +2,11 @@ var async = require('async');
 var _ = require('underscore');
 var extend = require('extend');
 var path = require('path');
+var fs = require('fs');
 var ent = require('ent');
+var crypto = require('crypto');
+var events = require('events');
+var util = require('util');
 
 RegExp.quote = require('regexp-quote');
 
@@ -16,6 +20,9 @@ function pages(options, callback) {
   var self = this;
   var aposPages = this;
 
+  // Emits 'timing' from pages.serve
+  events.EventEmitter.call(self);
+
   // Usage: app.get('*', pages.serve({ typePath: __dirname + '/views/pages' }))
   //
   // If you use this global wildcard route, make it your LAST route,
@@ -31,6 +38,15 @@ function pages(options, callback) {
   // self.serve will automatically prepend a / to the slug if
   // req.params[0] does not contain one.
   //
+  // A valid apos_preview query parameter, or one remembered in the session,
+  // shows the page it was created for (and its subpages, if it says so) to
+  // anyone, published or not. See pages.createPreview. req.preview is true
+  // in that case.
+  //
+  // If the module has a `sites` option, the site is chosen by the hostname
+  // of the request and made available as `req.site`. req.slug is always the
+  // slug as seen in the URL; only pages of that site's tree are served.
+  //
   // The page object is passed to the Nunjucks type as `page`.
   //
   // If you want to also load all areas on the "global" page, for instance
@@ -55,18 +71,28 @@ function pages(options, callback) {
   // It is is also acceptable to pass a single function rather than an
   // array as the `load` property.
   //
+  // Loaders registered with pages.addLoader run too, in dependency order.
+  // Slugs in the `load` array can be named as their dependencies.
+  //
   // The type name used to render the page is taken from
   // the type property of the req.page object. You will need to set the
   // directory from which page type templates are loaded:
   //
-  // app.get('*', pages.serve({ typePath: __dirname + '/views/pages' })
+  // app.get('*', pages.serve({ templatePath: __dirname + '/views/pages' })
   //
   // You can also override individual type paths. Any paths you don't
-  // override continue to respect typePath. Note that you are still
+  // override continue to respect templatePath. Note that you are still
   // specifying a folder's path, which must contain a nunjucks type
   // named home.html to render a page with that type property:
   //
-  // app.get('*', pages.serve({ ..., typePaths: { home: __dirname + '/views/pages' } })
+  // app.get('*', pages.serve({ ..., templatePaths: { home: __dirname + '/views/pages' } })
+  //
+  // Templates are looked for in the folder for the page's type, then the
+  // folder for its superclass (the `superclass` property of the type, naming
+  // another type) and so on up the chain, then templatePath, then this
+  // module's own views folder. A type with no template of its own is
+  // rendered with its superclass's template. If no template is found at all
+  // the paths tried are logged and the serverError template is rendered.
   //
   // In the event the page slug requested is not found, the notfound type
   // is rendered. You can override the notfound type path like any other.
@@ -113,6 +139,105 @@ function pages(options, callback) {
   // If you do not set req.page the normal page-not-found behavior is applied.
   // Make sure you specify at least an areas property. If you do not supply a
   // type property, 'default' is assumed.
+  //
+  // If you want fully decorated pages to be cached for anonymous visitors,
+  // set the `cache` option:
+  //
+  // app.get('*', pages.serve({ cache: { lifetime: 300, maxEntries: 1000 } }))
+  //
+  // `cache: true` accepts those defaults. Only GET requests from anonymous
+  // users that result in a 200 status are cached. The cache key is the slug
+  // plus the query string. Entries are dropped automatically when pages are
+  // saved via apos.putPage or apos.putArea, which also covers moving, editing
+  // and deleting pages. See pages.invalidateCache. A loader may set
+  // `req.cacheable = false` to keep the current response out of the cache.
+  //
+  // The ancestors, peers, children and tabs of the page are fetched
+  // automatically. Set the `ancestors`, `peers`, `descendants` or `tabs` option
+  // to false to skip any of them (peers and tabs still need the ancestors).
+  //
+  // If you set the `lazyRelatives` option, none of them are fetched up front.
+  // Templates simply read `page.tabs` and so on; if a template reads a relative
+  // that has not been fetched yet, we fetch it and render again, and remember
+  // to fetch it up front for that template on later requests. Loaders run
+  // before rendering, so a loader that needs relatives in lazy mode should
+  // ask for them first:
+  //
+  // req.loadRelatives([ 'children', 'tabs' ], function(err) { ... })
+  //
+  // If the request accepts `application/json` rather than HTML, or has a
+  // `format=json` query parameter, Nunjucks is skipped entirely. Instead we
+  // send a JSON document with `status`, `page` (pruned via pages.prunePage),
+  // `areas`, `ancestors`, `peers`, `children`, `tabs` and `extras` (req.extras)
+  // properties, with the same HTTP status code the HTML page would have.
+  // Unless the query parameter decided, the response has `Vary: Accept`.
+  // If there is no page to show, only `status` (such as `notfound` or
+  // `loginRequired`) and `extras` are sent. Loaders can check for
+  // `req.format === 'json'`.
+  //
+  // If you set the `conditional` option, an ETag is computed from everything
+  // the template will see: the page, its relatives, req.extras and the
+  // current user's identity. A Last-Modified header is sent too when the page,
+  // its ancestors and the pages in req.extras all have an `updatedAt`
+  // property. Requests with a matching If-None-Match or If-Modified-Since
+  // header get a 304 response without rendering anything.
+  //
+  // The `cacheControl` option sets the Cache-Control header of successful
+  // responses, depending on who is asking:
+  //
+  // cacheControl: {
+  //   anon: 'public, max-age=60',
+  //   user: 'private, max-age=0',
+  //   edit: 'private, no-cache'
+  // }
+  //
+  // `edit` applies when the user can edit the page, `user` to other logged-in
+  // users and `anon` to everyone else. Leave any of them out to send no header.
+  // Error pages, login pages and redirects get none either. If any policy is
+  // public, every response also has a `Vary: Cookie` header.
+  //
+  // If a step fails (fetching the page, a loader, rendering the template),
+  // the error is logged along with a random correlation ID, and the
+  // `errorHandler` option, a function(err, req, res), decides what to send.
+  // The default, pages.handleError, sets the status (404, 403, 503 when the
+  // database is unavailable, otherwise 500), renders the notfound,
+  // insufficient or serverError template and passes it an `error` object
+  // with `status`, `message` and `id` properties. With the `development`
+  // option, which defaults to true when NODE_ENV is `development`, `error`
+  // also has the real message (`detail`), the `stack` and the failed `loader`.
+  //
+  // The time taken by each step (page, permissions, relatives, load, notfound,
+  // prefetch and render) and by each loader is measured. Users who can edit
+  // the page, and admins, receive it in a Server-Timing header, and the
+  // 'timing' event of the pages module is emitted for every request:
+  //
+  // pages.on('timing', function(timing) { ... })
+  //
+  // `timing` has `req`, `url`, `slug`, `status`, `total`, `steps` and
+  // `loaders` properties. Durations are in milliseconds.
+  //
+  // A page is also served at each of its `aliases`, with a canonical link
+  // to its own slug. If the `aliasRedirect` option is true, a 301 redirect
+  // to the page's own URL is sent instead.
+  //
+  // Pages the visitor may not see are sent with the loginRequired template
+  // and a 401 status if they are not logged in, otherwise with the
+  // insufficient template and a 403 status. With the `loginUrl` option,
+  // visitors who are not logged in are redirected there instead, with a
+  // `returnTo` parameter, see pages.getReturnTo.
+  //
+  // Passphrase-protected pages are sent with the passphrase template and a
+  // 401 status until the visitor enters the passphrase, see
+  // pages.applyPassphrase. They are never cached and get a
+  // `Cache-Control: private, no-store` header.
+  //
+  // The `normalize` option sends a 301 redirect to the canonical form of
+  // the URL before looking up the page. See pages.normalizeSlug for its
+  // settings.
+
+  // The relatives of a page that pages.serve can fetch for it, in the order
+  // they are fetched
+  var relativeNames = [ 'ancestors', 'peers', 'children', 'tabs' ];
 
   self.serve = function(options) {
 
@@ -120,7 +245,28 @@ function pages(options, callback) {
       options = {};
     }
     _.defaults(options, {
-      root: ''
+      root: '',
+      errorHandler: self.handleError,
+      development: (process.env.NODE_ENV === 'development')
+    });
+
+    if (options.cache) {
+      if (typeof(options.cache) !== 'object') {
+        options.cache = {};
+      }
+      _.defaults(options.cache, {
+        lifetime: 300,
+        maxEntries: 1000
+      });
+    }
+
+    // In lazy mode, the relatives that were read while rendering each
+    // template, so that later requests can fetch them up front
+    var neededRelatives = {};
+
+    // Whether any of the cacheControl policies lets shared caches keep pages
+    var publicCacheControl = _.some(_.values(options.cacheControl || {}), function(policy) {
+      return /public/i.test(policy);
     });
 
     return function(req, res) {
@@ -134,7 +280,7 @@ function pages(options, callback) {
         return function(callback) {
           var start = now();
           return fn(function(err) {
-            // console.log(name + ': ' + (now() - start));
+            timing.steps[name] = (now() - start) * 1000;
             return callback(err);
           });
         };
@@ -149,20 +295,166 @@ function pages(options, callback) {
         req.absoluteUrl = req.protocol + '://' + req.get('Host') + req.url;
       }
 
+      req.slug = req.params[0];
+      if ((!req.slug.length) || (req.slug.charAt(0) !== '/')) {
+        req.slug = '/' + req.slug;
+      }
+
+      // Send visitors to the canonical form of the URL, see pages.normalizeSlug
+      if (options.normalize && ((req.method === 'GET') || (req.method === 'HEAD'))) {
+        var normalized = self.normalizeSlug(req.slug, options.normalize);
+        if (normalized !== req.slug) {
+          var query = req.url.match(/\?.*$/);
+          return res.redirect(301, options.root + encodeURI(normalized) + (query ? query[0] : ''));
+        }
+        // Slugs never end in a slash, even when URLs do
+        if (options.normalize.trailingSlash === 'add') {
+          req.slug = req.slug.replace(/(.)\/$/, '$1');
+        }
+      }
+
+      // Which page tree to look in, see pages.sites
+      req.site = self.getSite(req);
+
+      // Headless clients can ask for JSON instead of HTML
+      if (req.query.format === 'json') {
+        req.format = 'json';
+      } else if (req.accepts) {
+        // The same URL answers with HTML or JSON, so caches must tell them apart
+        vary('Accept');
+        if (req.accepts([ 'html', 'json' ]) === 'json') {
+          req.format = 'json';
+        }
+      }
+
+      // Preview links, see pages.createPreview
+      req.previews = self.getPreviews(req);
+
+      var cacheKey;
+      if (options.cache && (!req.user) && (!req.previews.length) && (!req.xhr) && ((req.method === 'GET') || (req.method === 'HEAD'))) {
+        var queryAt = req.url.indexOf('?');
+        cacheKey = (req.format || 'html') + ':' + req.site.path + ':' + options.root + req.slug + ((queryAt === -1) ? '' : req.url.substr(queryAt));
+        var cached = getCached(cacheKey);
+        if (cached) {
+          if (cached.contentType) {
+            res.setHeader('Content-Type', cached.contentType);
+          }
+          if (cached.etag && validators(cached.etag, cached.lastModified)) {
+            return notModified();
+          }
+          setCacheControl();
+          return res.send(cached.body);
+        }
+      }
+
+      // Milliseconds spent in each step, and in each loader during `load`
+      var timing = { steps: {}, loaders: {} };
+
+      // Which relatives of req.bestPage have been fetched, and which ones
+      // were read before being fetched in lazy mode
+      var loadedRelatives = {};
+      var missingRelatives = {};
+      // The ancestors peers and tabs are found by, even when the
+      // ancestors option is false
+      var navigationAncestors;
+      var relativesKey;
+      req.loadRelatives = loadRelatives;
+      req.loadedRelatives = loadedRelatives;
+
       req.extras = {};
-      return async.series([time(page, 'page'), time(permissions, 'permissions'), time(relatives, 'relatives'), time(load, 'load'), time(notfound, 'notfound')], main);
+      // See pages.newHead
+      req.head = self.newHead();
+      // Tree queries made while serving this request, see memoize()
+      req.pagesMemo = {};
+      return async.series([time(page, 'page'), time(permissions, 'permissions'), time(relatives, 'relatives'), time(load, 'load'), time(notfound, 'notfound'), time(prefetch, 'prefetch')], main);
 
       function page(callback) {
-        // Get content for this page
-        req.slug = req.params[0];
-        if ((!req.slug.length) || (req.slug.charAt(0) !== '/')) {
-          req.slug = '/' + req.slug;
+        var slug = self.prefixSlug(req.site, req.slug);
+
+        if (!req.previews.length) {
+          return getPage();
+        }
+
+        // A preview link shows its page whether it is published or not
+        return apos.getPage(req, slug, { permissions: false }, function(e, page, bestPage, remainder) {
+          if (e) {
+            return callback(e);
+          }
+          if ((!bestPage) || (self.getSiteOfPage(bestPage) !== req.site)) {
+            return getPage();
+          }
+          return self.previewCovers(req.previews, bestPage, function(err, covered) {
+            if (err) {
+              return callback(err);
+            }
+            if (!covered) {
+              return getPage();
+            }
+            req.preview = true;
+            return found(page, bestPage, remainder);
+          });
+        });
+
+        function getPage() {
+          // Get content for this page
+          return self.getPage(req, slug, function(e, page, bestPage, remainder) {
+            if (e || page) {
+              return checkPage(e, page, bestPage, remainder);
+            }
+            // The permissions criteria of apos.get hide passphrase-protected
+            // pages from those who are not logged in. Look again without
+            // them; the permissions step shows the passphrase form
+            return self.getPage(req, slug, { permissions: false }, function(e, hiddenPage, hiddenBestPage, hiddenRemainder) {
+              if (e) {
+                return callback(e);
+              }
+              if (hiddenBestPage && hiddenBestPage.published && (hiddenBestPage.loginRequired === 'passphrase') && ((!bestPage) || (hiddenBestPage.slug.length > bestPage.slug.length))) {
+                return checkPage(null, hiddenPage, hiddenBestPage, hiddenRemainder);
+              }
+              return checkPage(null, page, bestPage, remainder);
+            });
+          });
         }
-        apos.getPage(req, req.slug, function(e, page, bestPage, remainder) {
+
+        function checkPage(e, page, bestPage, remainder) {
           if (e) {
             return callback(e);
           }
 
+          // No page has this slug, but one may have it as an alias
+          if ((!page) && (!req.alias)) {
+            return self.getPageByAlias(req, slug, function(err, aliased) {
+              if (err) {
+                return callback(err);
+              }
+              if (!aliased) {
+                return found(page, bestPage, remainder);
+              }
+              req.alias = slug;
+              return checkPage(null, aliased, aliased, '');
+            });
+          }
+
+          // The home page of another site can be a partial match
+          if (bestPage && (self.getSiteOfPage(bestPage) !== req.site)) {
+            return found();
+          }
+
+          // Outside its publishAt and unpublishAt window, a page is
+          // only visible to those who can edit it
+          if (bestPage && (!self.isWithinSchedule(bestPage))) {
+            return apos.permissions(req, 'edit-page', bestPage, function(err) {
+              if (err) {
+                return found();
+              }
+              return found(page, bestPage, remainder);
+            });
+          }
+
+          return found(page, bestPage, remainder);
+        }
+
+        function found(page, bestPage, remainder) {
           // Set on exact slug matches only
 
           // "What if there is no page?" We'll note that later
@@ -181,12 +473,21 @@ function pages(options, callback) {
           req.remainder = remainder;
 
           if (req.bestPage) {
-            req.bestPage.url = options.root + req.bestPage.slug;
+            req.bestPage.url = getUrl(req.bestPage, options.root);
           }
 
-          return callback(null);
+          // Served at an alias slug. Point search engines at the primary
+          // URL, or send the visitor there
+          if (req.alias && req.page) {
+            if (options.aliasRedirect) {
+              var query = req.url.match(/\?.*$/);
+              return res.redirect(301, req.page.url + (query ? query[0] : ''));
+            }
+            req.head.addLink({ rel: 'canonical', href: getOrigin(req.absoluteUrl) + req.page.url });
+          }
 
-        });
+          return callback(null);
+        }
       }
 
       function permissions(callback) {
@@ -199,6 +500,13 @@ function pages(options, callback) {
         async.series([checkView, checkEdit], callback);
 
         function checkView(callback) {
+          // The page step already checked the preview link
+          if (req.preview) {
+            return callback(null);
+          }
+          if (req.bestPage.loginRequired === 'passphrase') {
+            return checkPassphrase(callback);
+          }
           return apos.permissions(req, 'view-page', req.bestPage, function(err) {
             // If there is a permissions error then note that we are not
             // cool enough to see the page, which triggers the appropriate
@@ -214,6 +522,22 @@ function pages(options, callback) {
           });
         }
 
+        // Those who can edit the page don't need the passphrase. Nobody
+        // else gets it from a shared cache
+        function checkPassphrase(callback) {
+          req.passphraseProtected = true;
+          req.cacheable = false;
+          if (self.hasPassphraseGrant(req, req.bestPage)) {
+            return callback(null);
+          }
+          return apos.permissions(req, 'edit-page', req.bestPage, function(err) {
+            if (err) {
+              req.passphraseRequired = true;
+            }
+            return callback(null);
+          });
+        }
+
         function checkEdit(callback) {
           return apos.permissions(req, 'edit-page', req.bestPage, function(err) {
             // If there is no permissions error then note that we are cool
@@ -228,68 +552,134 @@ function pages(options, callback) {
         if(!req.bestPage) {
           return callback(null);
         }
-        async.series([
-          function(callback) {
-            // If you want tabs you also get ancestors, so that
-            // the home page is available (the parent of tabs).
-            if (options.ancestors || options.tabs || true) {
-              return self.getAncestors(req, req.bestPage, options.ancestorCriteria || {}, options.ancestorOptions || {}, function(err, ancestors) {
-                req.bestPage.ancestors = ancestors;
-                if (ancestors.length) {
-                  // Also set parent as a convenience
-                  req.bestPage.parent = req.bestPage.ancestors.slice(-1)[0];
+        if (options.lazyRelatives) {
+          // Nothing is fetched yet. Reading a relative that has not been
+          // loaded notes that it is needed, see prefetch() and main()
+          var store = {};
+          _.each(relativeNames.concat([ 'parent' ]), function(name) {
+            // Not enumerable, so extend() and JSON never trigger a fetch
+            Object.defineProperty(req.bestPage, name, {
+              configurable: true,
+              get: function() {
+                var relative = (name === 'parent') ? 'ancestors' : name;
+                if (_.has(store, relative) || (!enabled(relative))) {
+                  return store[name];
                 }
-                return callback(err);
-              });
-            } else {
-              return callback(null);
-            }
-          },
-          function(callback) {
-            if (options.peers || true) {
-              var ancestors = req.bestPage.ancestors;
-              if (!ancestors.length) {
-                // The only peer of the homepage is itself.
-                //
-                // Avoid a circular reference that crashes
-                // extend() later when we try to pass the homepage
-                // as the .permalink option to a loader. This
-                // happens if the homepage is a blog.
-                var selfAsPeer = {};
-                extend(true, selfAsPeer, req.bestPage);
-                req.bestPage.peers = [ selfAsPeer ];
-                return callback(null);
+                missingRelatives[relative] = true;
+                return (name === 'parent') ? undefined : [];
+              },
+              set: function(value) {
+                store[name] = value;
               }
-              var parent = ancestors[ancestors.length - 1];
-              self.getDescendants(req, parent, options.tabOptions || {}, function(err, pages) {
-                req.bestPage.peers = pages;
-                return callback(err);
-              });
-            } else {
-              return callback(null);
-            }
-          },
-          function(callback) {
-            if (options.descendants || true) {
-              return self.getDescendants(req, req.bestPage, options.descendantCriteria || {}, options.descendantOptions || {}, function(err, children) {
-                req.bestPage.children = children;
-                return callback(err);
-              });
-            } else {
-              return callback(null);
-            }
-          },
-          function(callback) {
-            if (options.tabs || true) {
-              self.getDescendants(req, req.bestPage.ancestors[0] ? req.bestPage.ancestors[0] : req.bestPage, options.tabCriteria || {}, options.tabOptions || {}, function(err, pages) {
-                req.bestPage.tabs = pages;
-                return callback(err);
-              });
-            } else {
-              return callback(null);
+            });
+          });
+          return callback(null);
+        }
+        return loadRelatives(relativeNames, callback);
+      }
+
+      // Fetch the named relatives of req.bestPage ('ancestors', 'peers',
+      // 'children' and 'tabs'), skipping any that are switched off or
+      // already loaded. Also available to loaders as req.loadRelatives,
+      // which is how a loader should ask for relatives in lazy mode.
+
+      function loadRelatives(names, callback) {
+        if (!req.bestPage) {
+          return callback(null);
+        }
+        names = _.filter(names, function(name) {
+          return enabled(name) && (!loadedRelatives[name]);
+        });
+        // Peers and tabs are found via the ancestors: the parent of peers,
+        // and the home page, the parent of tabs. If the ancestors are
+        // switched off just those two are fetched, see loadAncestors
+        if ((_.contains(names, 'peers') || _.contains(names, 'tabs')) && (!loadedRelatives.ancestors) && (!_.contains(names, 'ancestors'))) {
+          names.unshift('ancestors');
+        }
+        var loaders = {
+          ancestors: loadAncestors,
+          peers: loadPeers,
+          children: loadChildren,
+          tabs: loadTabs
+        };
+        return async.eachSeries(names, function(name, callback) {
+          return loaders[name](function(err) {
+            if (!err) {
+              loadedRelatives[name] = true;
             }
+            return callback(err);
+          });
+        }, callback);
+      }
+
+      function loadAncestors(callback) {
+        if (!enabled('ancestors')) {
+          // Peers and tabs only need the parent and the home page. Fetch
+          // just those, and don't offer them as page.ancestors
+          return self.getAncestors(req, req.bestPage, { level: { $in: [ 0, req.bestPage.level - 1 ] } }, {}, function(err, ancestors) {
+            navigationAncestors = ancestors;
+            return callback(err);
+          });
+        }
+        return self.getAncestors(req, req.bestPage, options.ancestorCriteria || {}, options.ancestorOptions || {}, function(err, ancestors) {
+          navigationAncestors = ancestors;
+          req.bestPage.ancestors = ancestors;
+          if (ancestors && ancestors.length) {
+            // Also set parent as a convenience
+            req.bestPage.parent = ancestors.slice(-1)[0];
           }
-        ], callback);
+          return callback(err);
+        });
+      }
+
+      function loadPeers(callback) {
+        var ancestors = navigationAncestors;
+        if (!ancestors.length) {
+          // The only peer of the homepage is itself.
+          //
+          // Avoid a circular reference that crashes
+          // extend() later when we try to pass the homepage
+          // as the .permalink option to a loader. This
+          // happens if the homepage is a blog.
+          var selfAsPeer = {};
+          extend(true, selfAsPeer, req.bestPage);
+          req.bestPage.peers = [ selfAsPeer ];
+          return callback(null);
+        }
+        var parent = ancestors[ancestors.length - 1];
+        return self.getDescendants(req, parent, options.tabOptions || {}, function(err, pages) {
+          req.bestPage.peers = pages;
+          return callback(err);
+        });
+      }
+
+      function loadChildren(callback) {
+        return self.getDescendants(req, req.bestPage, options.descendantCriteria || {}, options.descendantOptions || {}, function(err, children) {
+          req.bestPage.children = children;
+          return callback(err);
+        });
+      }
+
+      function loadTabs(callback) {
+        return self.getDescendants(req, navigationAncestors[0] ? navigationAncestors[0] : req.bestPage, options.tabCriteria || {}, options.tabOptions || {}, function(err, pages) {
+          req.bestPage.tabs = pages;
+          return callback(err);
+        });
+      }
+
+      // The `children` relative is switched off via the `descendants` option
+      function enabled(name) {
+        return options[(name === 'children') ? 'descendants' : name] !== false;
+      }
+
+      // In lazy mode, fetch the relatives that templates for this type
+      // needed on earlier requests, so we usually render just once
+      function prefetch(callback) {
+        if ((!options.lazyRelatives) || (!req.bestPage)) {
+          return callback(null);
+        }
+        relativesKey = (typeof(req.template) === 'string') ? req.template : req.bestPage.type;
+        return loadRelatives(_.keys(neededRelatives[relativesKey] || {}), callback);
       }
 
       function load(callback) {
@@ -310,59 +700,168 @@ function pages(options, callback) {
         // we're loading some of them only in certain situations.
         // So let's not prematurely optimize
 
-        loadList = loadList.map(function(item) {
+        // Every loader becomes a named task. Slugs are named after themselves,
+        // so registered loaders can ask to run after 'global' and the like
+
+        var tasks = {};
+
+        _.each(loadList, function(item, i) {
           if (typeof(item) !== 'function') {
-            return function(callback) {
-              // Hardcoded slugs of virtual pages to be loaded for every user every time
-              // imply we're not concerned with permissions. Avoiding them saves us the
-              // hassle of precreating pages like "global" just to set published: true etc.
-              apos.getPage(req, item, { permissions: false }, function(err, page) {
-                if (err) {
-                  return callback(err);
-                }
-                // Provide an object with an empty areas property if
-                // the page doesn't exist yet. This simplifies page type templates
-                // The new syntax for aposArea() requires a more convincing fake page!
-                // Populate slug and permissions correctly
-                req.extras[item] = page ? page : { slug: item, areas: [] };
-                if (!page) {
-                  apos.addPermissionsToPages(req, [req.extras[item]]);
-                }
-                return callback(null);
-              });
+            tasks[item] = {
+              load: function(callback) {
+                // Hardcoded slugs of virtual pages to be loaded for every user every time
+                // imply we're not concerned with permissions. Avoiding them saves us the
+                // hassle of precreating pages like "global" just to set published: true etc.
+                self.getPage(req, item, { permissions: false }, function(err, page) {
+                  if (err) {
+                    return callback(err);
+                  }
+                  // Provide an object with an empty areas property if
+                  // the page doesn't exist yet. This simplifies page type templates
+                  // The new syntax for aposArea() requires a more convincing fake page!
+                  // Populate slug and permissions correctly
+                  req.extras[item] = page ? page : { slug: item, areas: [] };
+                  if (!page) {
+                    apos.addPermissionsToPages(req, [req.extras[item]]);
+                  }
+                  return callback(null);
+                });
+              }
             };
           } else {
             // Already a callback, now wrap it in a function that can
             // see the req variable
-            return function(callback) {
-              return item(req, callback);
+            tasks['load[' + i + ']'] = {
+              load: function(callback) {
+                return item(req, callback);
+              }
+            };
+          }
+        });
+
+        // The page type's own loader, see pages.addType. Other loaders can
+        // run after it by naming it 'type:' plus the name of the type
+        var type = req.bestPage && self.getType(req.bestPage.type);
+        if (type && type.load) {
+          tasks['type:' + type.name] = {
+            load: function(callback) {
+              return type.load(req, callback);
+            }
+          };
+        }
+
+        // The routes of the page type claim the remainder of the URL. An
+        // unmatched remainder is a 404 as usual. Not for those who can't
+        // see the page, as a template of our own would hide that
+        var matched = type && type.routes && (!req.loginRequired) && (!req.insufficient) && (!req.passphraseRequired) && self.matchRoute(type.routes, req.remainder || '/');
+        if (matched) {
+          req.page = req.bestPage;
+          req.remainderRoute = matched.route;
+          req.remainderParams = matched.params;
+          if (matched.route.template) {
+            req.template = matched.route.template;
+          }
+          if (matched.route.handler) {
+            tasks.route = {
+              after: [ 'type:' + type.name ],
+              load: function(callback) {
+                return matched.route.handler(req, callback);
+              }
             };
           }
+        }
+
+        // Loaders registered via pages.addLoader, if they apply to this page
+        _.each(self.loaders, function(loader) {
+          if (loader.types && (!(req.bestPage && _.contains(loader.types, req.bestPage.type)))) {
+            return;
+          }
+          tasks[loader.name] = {
+            after: loader.after,
+            load: function(callback) {
+              return loader.load(req, callback);
+            }
+          };
         });
 
-        return async.parallel(loadList, callback);
+        return runLoaders(tasks, timing.loaders, callback);
       }
 
       function notfound(callback) {
+        if (req.page) {
+          return callback(null);
+        }
+        // A feed of the children of the page, if it offers one
+        var feedFormat = req.bestPage && req.bestPage.feed && self.feedFormats[req.remainder];
+        if (feedFormat && (!req.loginRequired) && (!req.insufficient) && (!req.passphraseRequired)) {
+          return feed(feedFormat, callback);
+        }
+        // The type of the best partial match gets the first chance to
+        // accept it, for instance as a blog post permalink
+        var type = req.bestPage && self.getType(req.bestPage.type);
+        if (type && type.notfound) {
+          return type.notfound(req, function(err) {
+            if (err || req.page) {
+              return callback(err);
+            }
+            return fallback();
+          });
+        }
+        return fallback();
+
+        // Render the feed with a template function, without the outer
+        // layout. The entries are extras so that the ETag reflects them
+        function feed(format, callback) {
+          return self.getFeed(req.bestPage, options.root, function(err, entries) {
+            if (err) {
+              return callback(err);
+            }
+            var origin = getOrigin(req.absoluteUrl);
+            req.page = req.bestPage;
+            req.extras.feed = entries;
+            req.contentType = format.contentType;
+            req.decorate = false;
+            req.template = function() {
+              return self[format.format]({
+                title: req.bestPage.title,
+                description: req.bestPage.seoDescription || '',
+                url: origin + req.bestPage.url,
+                feedUrl: origin + req.bestPage.url + req.remainder,
+                entries: _.map(entries, function(entry) {
+                  return _.extend({}, entry, { url: origin + entry.url });
+                })
+              });
+            };
+            return callback(null);
+          });
+        }
+
         // Implement the automatic redirect mechanism for pages whose
         // slugs have changed, unless an alternate mechanism has been specified
-        if (!req.page) {
+        function fallback() {
           if (options.notfound) {
             return options.notfound(req, function(err) {
               return callback(err);
             });
           } else {
             // Check for a redirect from an old slug before giving up
-            apos.redirects.findOne({from: req.slug }, function(err, redirect) {
+            apos.redirects.findOne({from: self.prefixSlug(req.site, req.slug) }, function(err, redirect) {
               if (redirect) {
-                return res.redirect(options.root + redirect.to);
-              } else {
-                return callback(null);
+                return res.redirect(options.root + self.getSiteSlug(req.site, redirect.to));
               }
+              // Then for a redirect rule, see pages.addRedirect
+              return self.matchRedirect(req, options.root, function(err, result) {
+                if (err || (!result)) {
+                  return callback(err);
+                }
+                if (result.status === 410) {
+                  req.gone = true;
+                  return callback(null);
+                }
+                return res.redirect(result.status, result.url);
+              });
             });
           }
-        } else {
-          return callback(null);
         }
       }
 
@@ -389,31 +888,52 @@ function pages(options, callback) {
           return res.redirect(req.redirect);
         }
 
-        if (req.notfound) {
+        if (err) {
+          handleError(err);
+          providePage = false;
+        } else if (req.notfound || (req.type === 'notfound')) {
           // A loader asked us to 404
           res.statusCode = 404;
           req.template = 'notfound';
           providePage = false;
+        } else if (req.gone) {
+          // A redirect rule says the page is gone for good
+          res.statusCode = 410;
+          req.template = 'notfound';
+          providePage = false;
         } else if (!req.template) {
-          if (err) {
-            console.log(err);
-            req.template = 'serverError';
-            res.statusCode = 500;
+          if (req.passphraseRequired) {
+            // Ask for the passphrase, see pages.applyPassphrase. The form
+            // posts to /apos-pages/passphrase, which sends the visitor back
+            res.statusCode = 401;
+            req.template = 'passphrase';
+            req.passphrase = {
+              _id: req.bestPage._id,
+              title: req.bestPage.title,
+              returnTo: req.originalUrl || req.url,
+              failed: !!(req.session && (req.session.aposPassphraseFailed === req.bestPage._id))
+            };
+            if (req.session) {
+              delete req.session.aposPassphraseFailed;
+            }
             providePage = false;
           } else if (req.loginRequired) {
+            // Send visitors to log in first, if there is somewhere to do that
+            if (options.loginUrl && (req.format !== 'json') && (!req.xhr) && ((req.method === 'GET') || (req.method === 'HEAD'))) {
+              return res.redirect(self.getLoginUrl(req, options));
+            }
+            res.statusCode = 401;
             req.template = 'loginRequired';
             providePage = false;
           } else if (req.insufficient) {
+            res.statusCode = 403;
             req.template = 'insufficient';
             providePage = false;
           } else if (req.page) {
-            // Make sure the type is allowed
-            req.template = req.page.type;
-            if (_.some(aposPages.types, function(item) {
-              return item.name === req.type;
-            })) {
-              req.template = 'default';
-            }
+            // A loader may have switched templates by setting req.type.
+            // A type can name its own template
+            var pageType = self.getType(req.type || req.page.type);
+            req.template = (pageType && pageType.template) || req.type || req.page.type;
           } else {
             res.statusCode = 404;
             req.template = 'notfound';
@@ -426,6 +946,16 @@ function pages(options, callback) {
           req.template = 'default';
         }
 
+        if (providePage && options.conditional && ((req.method === 'GET') || (req.method === 'HEAD')) && ((!res.statusCode) || (res.statusCode === 200))) {
+          if (validators(self.getETag(req), self.getLastModified(req))) {
+            return notModified();
+          }
+        }
+
+        if (req.format === 'json') {
+          return sendJson(providePage);
+        }
+
         if (providePage) {
           req.pushData({
             aposPages: {
@@ -470,128 +1000,2054 @@ function pages(options, callback) {
           refreshing: !!req.query.apos_refresh,
           // Make the query available to templates for easy access to
           // filter settings etc.
-          query: req.query
+          query: req.query,
+          // Sanitized, see pages.sanitizeError
+          error: req.error,
+          // The page asking for a passphrase, if the template is `passphrase`
+          passphrase: req.passphrase,
+          // Title, meta tags and so on for the outer layout
+          head: req.head,
+          absoluteUrl: req.absoluteUrl,
+          // Which relatives of the page have been fetched, see lazyRelatives
+          loadedRelatives: loadedRelatives
         };
 
         _.defaults(args, req.extras);
 
+        // Templates and the outer layout add to req.head as they render.
+        // Rendering again in lazy mode starts from the same head and
+        // arguments, so nothing is added twice
+        var headBefore = copyHead(req.head);
+        var argsBefore = _.clone(args);
+
         var content;
+        try {
+          content = timedRender();
+        } catch (e) {
+          return renderError(e);
+        }
+        if (_.isEmpty(missingRelatives) || (!req.bestPage)) {
+          return send(content);
+        }
 
-        if (typeof(req.template) === 'string') {
-          var path = __dirname + '/views/' + req.template;
-          if (options.templatePath) {
-            path = options.templatePath + '/' + req.template;
+        // Lazy mode: the templates read relatives we had not fetched. Remember
+        // that for next time, fetch them and render again
+        var missing = _.keys(missingRelatives);
+        neededRelatives[relativesKey] = neededRelatives[relativesKey] || {};
+        _.each(missing, function(name) {
+          neededRelatives[relativesKey][name] = true;
+        });
+        missingRelatives = {};
+        return loadRelatives(missing, function(err) {
+          if (err) {
+            console.log(err);
+          }
+          args = _.clone(argsBefore);
+          _.extend(req.head, copyHead(headBefore));
+          try {
+            content = timedRender();
+          } catch (e) {
+            return renderError(e);
           }
-          if (options.templatePaths) {
-            if (options.templatePaths[type]) {
-              path = options.templatePaths[type] + '/' + req.template;
+          return send(content);
+        });
+
+        // The template itself failed. Render the error template instead,
+        // unless that is what just failed
+
+        function renderError(err) {
+          if (req.errorId) {
+            // The error template itself failed
+            console.log(err);
+            if (res.statusCode < 400) {
+              res.statusCode = 500;
             }
+            res.setHeader('Content-Type', 'text/plain');
+            return send('An error occurred (' + req.errorId + ').');
+          }
+          handleError(err);
+          providePage = false;
+          args.slug = null;
+          args.page = null;
+          args.error = req.error;
+          var content;
+          try {
+            content = timedRender();
+          } catch (e) {
+            return renderError(e);
           }
-          content = apos.partial(path, args);
-        } else {
-          // A custom loader gave us a function to render with.
-          // Give it access to the same arguments, and also to the request
-          // object which is helpful in unusual cases like RSS feed generation
-          content = req.template(args, req);
-        }
-
-        args.content = content;
-        args.safeMode = (req.query.safe_mode !== undefined);
-        // AJAX requests never get an outer layout. Also allow
-        // for a query parameter that fakes xhr and a flag to
-        // explicitly shut off decoration, which is useful if
-        // the template is rendering an alternative format
-        // such as RSS
-        if (req.xhr || req.query.xhr || (req.decorate === false)) {
           return send(content);
-        } else {
-          return send(self.decoratePageContent(args));
         }
-      }
 
-      function send(data) {
-        // console.log(now() - start);
-        return res.send(data);
+        // Rendering may happen more than once, so the time adds up
+
+        function copyHead(head) {
+          return {
+            title: head.title,
+            meta: head.meta.slice(),
+            links: head.links.slice(),
+            scripts: head.scripts.slice(),
+            jsonLd: head.jsonLd.slice(),
+            bodyClasses: head.bodyClasses.slice()
+          };
+        }
+
+        function timedRender() {
+          var start = now();
+          try {
+            return render();
+          } finally {
+            timing.steps.render = (timing.steps.render || 0) + ((now() - start) * 1000);
+          }
+        }
+
+        function render() {
+          var content;
+
+          if (typeof(req.template) === 'string') {
+            var type = providePage ? (req.type || (req.page || req.bestPage || {}).type) : undefined;
+            var path = self.findTemplate(req.template, type, options);
+            if (!path) {
+              // Say which files we looked for rather than letting
+              // nunjucks throw a less helpful exception
+              console.log('apostrophe-pages: no template found for ' + req.template + ', tried:\n' + _.map(self.getTemplatePaths(req.template, type, options), function(path) {
+                return path + '.html';
+              }).join('\n'));
+              res.statusCode = 500;
+              path = (req.template !== 'serverError') && self.findTemplate('serverError', undefined, options);
+              if (!path) {
+                res.setHeader('Content-Type', 'text/plain');
+                return 'Template not found: ' + req.template;
+              }
+            }
+            content = apos.partial(path, args);
+          } else {
+            // A custom loader gave us a function to render with.
+            // Give it access to the same arguments, and also to the request
+            // object which is helpful in unusual cases like RSS feed generation
+            content = req.template(args, req);
+          }
+
+          args.content = content;
+          args.safeMode = (req.query.safe_mode !== undefined);
+          // AJAX requests never get an outer layout. Also allow
+          // for a query parameter that fakes xhr and a flag to
+          // explicitly shut off decoration, which is useful if
+          // the template is rendering an alternative format
+          // such as RSS
+          if (req.xhr || req.query.xhr || (req.decorate === false)) {
+            return content;
+          } else {
+            return self.decoratePageContent(args);
+          }
+        }
+      }
+
+      // Log the error with a correlation ID that can also be shown to the
+      // user, then let the error handler choose the status, template and
+      // sanitized error object for it
+
+      function handleError(err) {
+        req.errorId = crypto.randomBytes(8).toString('hex');
+        req.showErrorStack = options.development;
+        console.log('apostrophe-pages: error ' + req.errorId + ' serving ' + req.url + ((err && err.loader) ? ' in loader ' + err.loader : '') + ':');
+        console.log((err && err.stack) || err);
+        req.template = undefined;
+        // Node's default is 200, which no error should be sent with. The
+        // handler can choose another status
+        res.statusCode = 500;
+        options.errorHandler(err, req, res);
+        if (req.template === undefined) {
+          req.template = 'serverError';
+        }
+      }
+
+      // Send the ETag and Last-Modified headers. Returns true if the
+      // client's conditional headers show it already has this version
+
+      function validators(etag, lastModified) {
+        req.etag = etag;
+        req.lastModified = lastModified;
+        if (etag) {
+          res.setHeader('ETag', etag);
+        }
+        if (lastModified) {
+          res.setHeader('Last-Modified', lastModified.toUTCString());
+        }
+        // If-None-Match wins when both are present
+        var noneMatch = req.get('If-None-Match');
+        if (noneMatch) {
+          return !!etag && _.some(noneMatch.split(/\s*,\s*/), function(tag) {
+            return (tag === '*') || (tag.replace(/^W\//, '') === etag.replace(/^W\//, ''));
+          });
+        }
+        var modifiedSince = Date.parse(req.get('If-Modified-Since'));
+        if (lastModified && (!isNaN(modifiedSince))) {
+          // HTTP dates have a resolution of one second
+          return Math.floor(lastModified.getTime() / 1000) <= Math.floor(modifiedSince / 1000);
+        }
+        return false;
+      }
+
+      function notModified() {
+        res.statusCode = 304;
+        setCacheControl();
+        reportTiming();
+        return res.end();
+      }
+
+      // Send a Server-Timing header to editors and admins and emit the
+      // 'timing' event. Responses from the page cache never get here
+
+      function reportTiming() {
+        if (!timing) {
+          return;
+        }
+        timing.total = (now() - start) * 1000;
+        if (req.edit || (req.user && req.user.permissions && req.user.permissions.admin)) {
+          res.setHeader('Server-Timing', self.formatServerTiming(timing));
+        }
+        self.emit('timing', {
+          req: req,
+          url: req.url,
+          slug: req.slug,
+          status: res.statusCode || 200,
+          total: timing.total,
+          steps: timing.steps,
+          loaders: timing.loaders
+        });
+      }
+
+      // Called just before sending the response, when the status is known
+
+      function setCacheControl() {
+        // Pages seen via preview links or a passphrase must not linger in
+        // shared caches
+        if ((req.previews && req.previews.length) || req.passphraseProtected) {
+          res.setHeader('Cache-Control', 'private, no-store');
+          return;
+        }
+        if (!options.cacheControl) {
+          return;
+        }
+        // A shared cache must not give the copy it kept for anonymous
+        // visitors to someone who is logged in
+        if (publicCacheControl) {
+          vary('Cookie');
+        }
+        // Error pages, login pages and the like are not for keeping
+        if (res.statusCode && (res.statusCode !== 200) && (res.statusCode !== 304)) {
+          return;
+        }
+        var policy = options.cacheControl[req.edit ? 'edit' : (req.user ? 'user' : 'anon')];
+        if (policy) {
+          res.setHeader('Cache-Control', policy);
+        }
+      }
+
+      // Add a request header to the Vary header of the response
+
+      function vary(name) {
+        var names = _.compact(String(res.getHeader('Vary') || '').split(/\s*,\s*/));
+        if (!_.contains(names, name)) {
+          names.push(name);
+          res.setHeader('Vary', names.join(', '));
+        }
+      }
+
+      // Headless mode: send the same permission-checked data the templates
+      // would see as a JSON document. Every relative that is switched on
+      // is included, even in lazy mode, as we can't know what the client
+      // will look at
+
+      function sendJson(providePage) {
+        req.contentType = 'application/json';
+        res.setHeader('Content-Type', req.contentType);
+        if (!providePage) {
+          return send(JSON.stringify({
+            status: (typeof(req.template) === 'string') ? req.template : 'error',
+            error: req.error,
+            extras: req.extras
+          }));
+        }
+        return loadRelatives(relativeNames, function(err) {
+          if (err) {
+            console.log(err);
+            res.statusCode = 500;
+            return send(JSON.stringify({ status: 'serverError' }));
+          }
+          var data = {
+            status: 'ok',
+            page: self.prunePage(req.bestPage),
+            areas: req.bestPage.areas,
+            extras: req.extras
+          };
+          // Pruned like the page, so other pages' internals stay here too
+          _.each(relativeNames, function(name) {
+            if (req.bestPage[name]) {
+              data[name] = _.map(req.bestPage[name], self.prunePage);
+            }
+          });
+          return send(JSON.stringify(data));
+        });
+      }
+
+      function send(data) {
+        setCacheControl();
+        reportTiming();
+        if (cacheKey && ((!res.statusCode) || (res.statusCode === 200)) && (req.cacheable !== false) && req.bestPage) {
+          setCached(cacheKey, {
+            body: data,
+            contentType: req.contentType,
+            _id: req.bestPage._id,
+            slug: req.bestPage.slug,
+            path: req.bestPage.path,
+            etag: req.etag,
+            lastModified: req.lastModified,
+            // Don't outlive the page's unpublishAt date
+            expires: Math.min((new Date()).getTime() + (options.cache.lifetime * 1000), req.bestPage.unpublishAt ? req.bestPage.unpublishAt.getTime() : Infinity)
+          }, options.cache.maxEntries);
+        }
+        return res.send(data);
+      }
+    };
+  };
+
+  // Return the canonical form of a slug according to `policy`, the
+  // `normalize` option of pages.serve:
+  //
+  // normalize: { lowercase: true, trailingSlash: 'strip', doubleSlashes: true }
+  //
+  // `lowercase` lowercases the slug. `trailingSlash` is 'strip' to remove a
+  // trailing slash or 'add' to add one, except to the home page and to URLs
+  // whose last part has an extension, such as /news/feed.xml. Leave it out to
+  // accept both. `doubleSlashes` collapses runs of slashes into one.
+  // Slashes at the start are always collapsed, so that the redirect can't
+  // become a protocol-relative URL such as //example.com.
+
+  self.normalizeSlug = function(slug, policy) {
+    if (policy.doubleSlashes) {
+      slug = slug.replace(/\/{2,}/g, '/');
+    }
+    if (policy.lowercase) {
+      slug = slug.toLowerCase();
+    }
+    if ((policy.trailingSlash === 'strip') && (slug !== '/')) {
+      slug = slug.replace(/\/+$/, '') || '/';
+    } else if ((policy.trailingSlash === 'add') && (!slug.match(/\/$/)) && (!slug.match(/\.[^\/]*$/))) {
+      slug += '/';
+    }
+    return slug.replace(/^\/+/, '/');
+  };
+
+  // The URL of the login page for a visitor who asked for a page that
+  // requires a login: the `loginUrl` option of pages.serve with a `returnTo`
+  // parameter pointing back at the page. The page is also remembered in the
+  // session, for login forms that drop the parameter
+
+  self.getLoginUrl = function(req, options) {
+    var returnTo = req.originalUrl || req.url;
+    if (req.session) {
+      req.session.aposPagesReturnTo = returnTo;
+    }
+    return options.loginUrl + ((options.loginUrl.indexOf('?') === -1) ? '?' : '&') + 'returnTo=' + encodeURIComponent(returnTo);
+  };
+
+  // Where to send a user who just logged in: the `returnTo` query parameter
+  // or the page remembered by pages.getLoginUrl, or undefined. Only URLs on
+  // this site are accepted, so the parameter can't send people elsewhere.
+  // Browsers drop whitespace and control characters from URLs, which could
+  // turn /\t/example.com into //example.com, so those are refused too
+
+  self.getReturnTo = function(req) {
+    var returnTo = (req.query && req.query.returnTo) || (req.body && req.body.returnTo) || (req.session && req.session.aposPagesReturnTo);
+    if (req.session) {
+      delete req.session.aposPagesReturnTo;
+    }
+    if ((typeof(returnTo) !== 'string') || (!returnTo.match(/^\/(?![\/\\])/)) || returnTo.match(/[\s\x00-\x1f\x7f]/)) {
+      return undefined;
+    }
+    return returnTo;
+  };
+
+  // Format the timings pages.serve collects for a request as the value of a
+  // Server-Timing header: one metric per step, one per loader (prefixed
+  // with `loader.`) and the total
+
+  self.formatServerTiming = function(timing) {
+    var metrics = [];
+    _.each(timing.steps, function(duration, name) {
+      metrics.push(metric(name, duration));
+    });
+    _.each(timing.loaders, function(duration, name) {
+      metrics.push(metric('loader.' + name, duration, name));
+    });
+    metrics.push(metric('total', timing.total));
+    return metrics.join(', ');
+
+    function metric(name, duration, description) {
+      // Loader names can be slugs or contain colons, which aren't allowed
+      // in metric names
+      var result = name.replace(/[^\w\.\-]/g, '_');
+      if (description !== undefined) {
+        result += ';desc="' + description.replace(/["\\]/g, '') + '"';
+      }
+      return result + ';dur=' + duration.toFixed(1);
+    }
+  };
+
+  // Loaders registered via pages.addLoader
+
+  self.loaders = [];
+
+  // Register a named loader that every pages.serve handler runs, along with
+  // the loaders in its own `load` option. `loader` is an object with these
+  // properties:
+  //
+  // `name`: required. Adding a loader with the same name again replaces it.
+  //
+  // `load`: function(req, callback), with the same contract as the functions
+  // in the `load` option of pages.serve.
+  //
+  // `after`: an optional array of names of loaders that must finish before
+  // this one starts, so it can use their results in req.extras. Slugs in the
+  // `load` option of pages.serve, such as 'global', are valid names too.
+  // Names of loaders that don't run for this request are ignored.
+  //
+  // `types`: an optional array of page type names. If present the loader
+  // only runs when req.bestPage has one of these types.
+  //
+  // Loaders with no dependencies between them run in parallel. If a loader
+  // fails, the error passed on to pages.serve is an Error whose `loader`
+  // property names it.
+
+  self.addLoader = function(loader) {
+    if (!loader.name) {
+      throw new Error('addLoader: a loader must have a name');
+    }
+    self.loaders = _.reject(self.loaders, function(item) {
+      return item.name === loader.name;
+    });
+    self.loaders.push(loader);
+  };
+
+  // Run an object of named loader tasks, each with a `load(callback)`
+  // function and an optional `after` array, as a dependency graph.
+  // The time each one took, in milliseconds, is stored in `durations`
+
+  function runLoaders(tasks, durations, callback) {
+    var auto = {};
+    var cycle;
+    var visiting = {};
+    var visited = {};
+
+    _.each(tasks, function(task, name) {
+      // Dependencies that aren't running this time are already satisfied
+      task.after = _.filter(task.after || [], function(dependency) {
+        return _.has(tasks, dependency);
+      });
+    });
+
+    _.each(_.keys(tasks), visit);
+    if (cycle) {
+      return callback(new Error('Loaders depend on each other in a cycle: ' + cycle.join(' -> ')));
+    }
+
+    _.each(tasks, function(task, name) {
+      auto[name] = task.after.concat([ function(callback) {
+        var start = process.hrtime();
+        return task.load(function(err) {
+          var elapsed = process.hrtime(start);
+          durations[name] = (elapsed[0] * 1000) + (elapsed[1] / 1000000);
+          if (err) {
+            var error = new Error('Loader ' + name + ' failed: ' + (err.message || err));
+            error.loader = name;
+            error.cause = err;
+            return callback(error);
+          }
+          return callback(null);
+        });
+      } ]);
+    });
+
+    return async.auto(auto, function(err) {
+      return callback(err);
+    });
+
+    function visit(name, index, list, trail) {
+      trail = (trail || []).concat([ name ]);
+      if (cycle || visited[name]) {
+        return;
+      }
+      if (visiting[name]) {
+        cycle = trail;
+        return;
+      }
+      visiting[name] = true;
+      _.each(tasks[name].after, function(dependency) {
+        visit(dependency, 0, null, trail);
+      });
+      visiting[name] = false;
+      visited[name] = true;
+    }
+  }
+
+  // The page cache is shared by every handler returned by pages.serve so that
+  // invalidation can reach all of them. Entries are keyed by root, slug and
+  // query string.
+  var cache = {};
+
+  // Properties of a page that also appear in the navigation of other pages
+  // (tabs, peers, children and ancestors)
+  var navigationFields = [ 'title', 'slug', 'path', 'level', 'rank', 'published', 'publishAt', 'unpublishAt', 'trash', 'orphan', 'loginRequired', 'type' ];
+
+  function getCached(key) {
+    var entry = cache[key];
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires < (new Date()).getTime()) {
+      delete cache[key];
+      return undefined;
+    }
+    return entry;
+  }
+
+  function setCached(key, entry, maxEntries) {
+    delete cache[key];
+    // Keys are never numeric, so they come back in insertion order
+    // and the oldest entries are dropped first
+    var keys = _.keys(cache);
+    while (keys.length >= maxEntries) {
+      delete cache[keys.shift()];
+    }
+    cache[key] = entry;
+  }
+
+  // Empty the page cache completely. Call this if you modify pages
+  // directly with MongoDB in a way that affects what anonymous visitors see.
+
+  self.clearCache = function() {
+    cache = {};
+    sitemapCache = {};
+  };
+
+  // Drop cached copies of `page`. If `navigation` is true the change also
+  // affects the tabs, peers, children or ancestors displayed on other pages,
+  // so the cached ancestors, peers and descendants of the page are dropped too.
+  //
+  // Pages outside the tree, such as the `global` virtual page, can be displayed
+  // anywhere, so changing them empties the cache. So does a navigation change
+  // to the home page or its children, which appear as tabs on every page.
+
+  self.invalidateCache = function(page, navigation) {
+    if ((!page) || (!page.slug) || (page.slug.charAt(0) !== '/')) {
+      return self.clearCache();
+    }
+    if (navigation && ((!page.path) || (page.level <= 1))) {
+      return self.clearCache();
+    }
+    var parentPath = page.path && page.path.substr(0, page.path.lastIndexOf('/'));
+    _.each(_.keys(cache), function(key) {
+      var entry = cache[key];
+      var affected = (page._id && (entry._id === page._id)) || (entry.slug === page.slug) || (page.path && (entry.path === page.path));
+      if ((!affected) && navigation && entry.path) {
+        affected =
+          // Ancestors list the page among their descendants
+          (page.path.indexOf(entry.path + '/') === 0) ||
+          // Descendants list the page among their ancestors
+          (entry.path.indexOf(page.path + '/') === 0) ||
+          // Peers list the page among their peers
+          (entry.path.substr(0, entry.path.lastIndexOf('/')) === parentPath);
+      }
+      if (affected) {
+        delete cache[key];
+      }
+    });
+  };
+
+  // Saving a page through Apostrophe records the time in `updatedAt` (see
+  // pages.getLastModified) and drops any cached copies of it. We compare
+  // with the version in the database to find out whether the change affects
+  // the navigation of other pages too. Moving, editing and deleting pages
+  // all go through apos.putPage
+
+  var superPutPage = apos.putPage;
+  apos.putPage = function(req, slug, page, callback) {
+    page.updatedAt = new Date();
+    if (_.isEmpty(cache)) {
+      return superPutPage(req, slug, page, callback);
+    }
+    var fields = {};
+    _.each(navigationFields, function(field) {
+      fields[field] = 1;
+    });
+    return apos.pages.findOne({ slug: slug }, fields, function(err, before) {
+      if (err) {
+        return callback(err);
+      }
+      return superPutPage(req, slug, page, function(err) {
+        if (before) {
+          var navigation = _.some(navigationFields, function(field) {
+            return !_.isEqual(before[field], page[field]);
+          });
+          self.invalidateCache(before, navigation);
+          if (navigation) {
+            // The new location in the tree is affected as well
+            self.invalidateCache(page, true);
+          }
+        } else {
+          // A new page appears in the navigation of its parent and peers
+          self.invalidateCache(page, true);
+        }
+        return callback.apply(null, arguments);
+      });
+    });
+  };
+
+  var superPutArea = apos.putArea;
+  apos.putArea = function(req, slug, area, callback) {
+    return superPutArea(req, slug, area, function(err) {
+      var args = arguments;
+      var matches = slug.match(/^(.*?)\:(\w+)$/);
+      var pageSlug = matches ? matches[1] : slug;
+      self.invalidateCache({ slug: pageSlug });
+      if (err) {
+        return callback.apply(null, args);
+      }
+      return apos.pages.update({ slug: pageSlug }, { $set: { updatedAt: new Date() } }, function() {
+        return callback.apply(null, args);
+      });
+    });
+  };
+
+  // We send the current page's metadata as inline JSON that winds up in
+  // apos.data.aposPages.page in the browser. It's very helpful for building
+  // page manipulation UI. But we shouldn't redundantly send the areas, as we are already
+  // rendering the ones we care about. And we shouldn't send our relatives
+  // as we're already rendering those as navigation if we want them. Also
+  // prune out the search text which can contain characters that are valid
+  // JSON but not valid JS (the existence of this is a nightmare):
+  // https://code.google.com/p/v8/issues/detail?id=1907
+  //
+  // The hashed passphrase of a passphrase-protected page stays on the server.
+
+  self.prunePage = function(page) {
+    return _.omit(page, 'areas', 'tabs', 'ancestors', 'children', 'peers', 'lowSearchText', 'highSearchText', 'searchSummary', 'previews', 'passphrase');
+  };
+
+  // Returns the paths, without the .html extension, where pages.serve looks
+  // for the named template, in order: the templatePaths entry for the page
+  // type, then for its superclass and the superclass's own superclass, and
+  // so on, then templatePath, then this module's views folder.
+  //
+  // If the template is the page type's own, a superclass's own template is
+  // also acceptable, so that a subclass with no template of its own is
+  // rendered like its superclass.
+
+  self.getTemplatePaths = function(template, type, options) {
+    var chain = [];
+    var names = [ template ];
+    var ownTemplate;
+    while (type && (!_.contains(_.pluck(chain, 'name'), type))) {
+      var typeObject = self.getType(type) || { name: type };
+      chain.push(typeObject);
+      if (chain.length === 1) {
+        ownTemplate = (template === (typeObject.template || typeObject.name));
+      } else if (ownTemplate && (typeof(typeObject.template || typeObject.name) === 'string')) {
+        names.push(typeObject.template || typeObject.name);
+      }
+      type = typeObject.superclass;
+    }
+    names = _.uniq(names);
+    var folders = [];
+    _.each(chain, function(typeObject) {
+      if (options.templatePaths && options.templatePaths[typeObject.name]) {
+        folders.push(options.templatePaths[typeObject.name]);
+      }
+    });
+    if (options.templatePath) {
+      folders.push(options.templatePath);
+    }
+    folders.push(__dirname + '/views');
+    var paths = [];
+    _.each(folders, function(folder) {
+      _.each(names, function(name) {
+        paths.push(folder + '/' + name);
+      });
+    });
+    return _.uniq(paths);
+  };
+
+  // Returns the first path from getTemplatePaths at which the template
+  // actually exists, or undefined if there is none. The answers are
+  // remembered, so new templates are noticed only after a restart.
+
+  var templateExists = {};
+
+  self.findTemplate = function(template, type, options) {
+    return _.find(self.getTemplatePaths(template, type, options), function(path) {
+      if (!_.has(templateExists, path)) {
+        templateExists[path] = fs.existsSync(path + '.html');
+      }
+      return templateExists[path];
+    });
+  };
+
+  // The default error handler for pages.serve, see its errorHandler option.
+  // Chooses the status code and the template for the error and sets
+  // req.error to a sanitized version of it, which the template receives
+  // as `error`. Replacement handlers receive the same arguments and can
+  // call this one for the defaults.
+
+  self.handleError = function(err, req, res) {
+    var status = self.getErrorStatus(err);
+    res.statusCode = status;
+    req.template = errorTemplates[status] || 'serverError';
+    req.error = self.sanitizeError(err, status, req.errorId, req.showErrorStack);
+  };
+
+  var errorTemplates = {
+    404: 'notfound',
+    403: 'insufficient',
+    401: 'loginRequired'
+  };
+
+  var errorMessages = {
+    401: 'You must log in to view this page.',
+    403: 'You do not have permission to view this page.',
+    404: 'The page you requested was not found.',
+    503: 'The site is temporarily unavailable. Please try again shortly.'
+  };
+
+  // Choose an HTTP status for an error. An error object with a `status` or
+  // `statusCode` property gets that status. Otherwise "notfound" and
+  // "forbidden" errors get 404 and 403, a database that can't be reached
+  // gets 503 and anything else is a 500. Loader failures are judged by
+  // their cause.
+
+  self.getErrorStatus = function(err) {
+    if (err && (typeof(err) === 'object')) {
+      var status = err.status || err.statusCode;
+      if ((typeof(status) === 'number') && (status >= 400) && (status < 600)) {
+        return status;
+      }
+      if (err.cause) {
+        return self.getErrorStatus(err.cause);
+      }
+      if (err.notfound) {
+        return 404;
+      }
+      if (err.forbidden) {
+        return 403;
+      }
+      if (_.contains([ 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT' ], err.code) || (/^Mongo/.test(err.name) && /connect|closed|topology|timed out|primary|socket/i.test(err.message))) {
+        return 503;
+      }
+      return 500;
+    }
+    if (typeof(err) === 'string') {
+      if (/^not ?found$/i.test(err)) {
+        return 404;
+      }
+      if (/^(forbidden|insufficient)$/i.test(err)) {
+        return 403;
+      }
+    }
+    return 500;
+  };
+
+  // Returns an error object that is safe to show to the public: the status,
+  // a generic message for it and the correlation ID logged with the error.
+  // If showStack is true (the development option of pages.serve) the real
+  // message, the stack and the name of the failing loader are included too.
+
+  self.sanitizeError = function(err, status, id, showStack) {
+    var error = {
+      status: status,
+      message: errorMessages[status] || 'An unexpected error occurred.',
+      id: id
+    };
+    if (showStack) {
+      error.detail = (err && err.message) || String(err);
+      error.stack = err && err.stack;
+      error.loader = err && err.loader;
+    }
+    return error;
+  };
+
+  // Compute a weak ETag for the page pages.serve is about to render for
+  // this request, from everything the template will see: the page and its
+  // relatives, req.extras, the template and the user's identity. Returns
+  // undefined if the data can't be serialized (for instance, a loader put
+  // a circular structure in req.extras).
+
+  self.getETag = function(req) {
+    var page = req.bestPage;
+    var relatives = {};
+    // Not enumerable in lazy mode, so pick them up explicitly, taking care
+    // not to read any that pages.serve hasn't fetched
+    _.each(relativeNames, function(name) {
+      if (page && ((!req.loadedRelatives) || req.loadedRelatives[name])) {
+        relatives[name] = page[name];
+      }
+    });
+    var json;
+    try {
+      json = JSON.stringify({
+        template: String(req.template),
+        format: req.format,
+        page: page,
+        relatives: relatives,
+        extras: req.extras,
+        // JSON leaves out the methods
+        head: req.head,
+        user: req.user && req.user._id,
+        permissions: req.user && req.user.permissions,
+        edit: req.edit,
+        data: apos.getData(req),
+        calls: apos.getCalls(req)
+      });
+    } catch (e) {
+      return undefined;
+    }
+    return 'W/"' + crypto.createHash('md5').update(json).digest('hex') + '"';
+  };
+
+  // Return the most recent `updatedAt` of the page, its ancestors and any
+  // pages in req.extras, or undefined if any of them has never been
+  // saved with a timestamp, as we can't vouch for it.
+
+  self.getLastModified = function(req) {
+    var pages = [ req.bestPage ];
+    if ((!req.loadedRelatives) || req.loadedRelatives.ancestors) {
+      pages = pages.concat(req.bestPage.ancestors || []);
+    }
+    _.each(req.extras, function(extra) {
+      if (extra && (typeof(extra) === 'object') && (!Array.isArray(extra)) && extra.slug && extra.areas) {
+        pages.push(extra);
+      }
+    });
+    var latest;
+    var unknown = _.some(pages, function(page) {
+      if (!(page.updatedAt instanceof Date)) {
+        return true;
+      }
+      if ((!latest) || (page.updatedAt > latest)) {
+        latest = page.updatedAt;
+      }
+    });
+    return unknown ? undefined : latest;
+  };
+
+  // Add Open Graph and Twitter card meta tags and JSON-LD describing
+  // args.page to the head, except for tags already there. A `jsonLd`
+  // function of the page's type, function(page, args), may return more
+  // schema.org objects for the page, such as an Event or a BlogPosting
+
+  function addMetadata(args, head) {
+    var page = args.page;
+    var title = head.title || page.title;
+    var description = args.seoDescription || page.seoDescription;
+    var origin = getOrigin(args.absoluteUrl);
+    var canonical = _.findWhere(head.links, { rel: 'canonical' });
+    var url = canonical ? canonical.href : (args.absoluteUrl && args.absoluteUrl.replace(/\?.*$/, ''));
+    var image = page.shareImage || options.shareImage;
+    if (image && origin && (image.charAt(0) === '/')) {
+      image = origin + image;
+    }
+
+    defaultMeta({ property: 'og:type', content: 'website' });
+    defaultMeta({ property: 'og:title', content: title });
+    defaultMeta({ property: 'og:description', content: description });
+    defaultMeta({ property: 'og:url', content: url });
+    defaultMeta({ property: 'og:image', content: image });
+    defaultMeta({ property: 'og:site_name', content: options.siteName });
+    defaultMeta({ name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' });
+    defaultMeta({ name: 'twitter:title', content: title });
+    defaultMeta({ name: 'twitter:description', content: description });
+    defaultMeta({ name: 'twitter:image', content: image });
+
+    var webPage = {
+      '@context': 'http://schema.org',
+      '@type': 'WebPage',
+      name: title
+    };
+    if (description) {
+      webPage.description = description;
+    }
+    if (url) {
+      webPage.url = url;
+    }
+    head.addJsonLd(webPage);
+
+    // The home page is the first crumb. The page itself is the last. In
+    // lazyRelatives mode the ancestors are not fetched just for this
+    var ancestors = (args.loadedRelatives && (!args.loadedRelatives.ancestors)) ? [] : (page.ancestors || []);
+    var crumbs = ancestors.concat([ page ]);
+    if (crumbs.length > 1) {
+      head.addJsonLd({
+        '@context': 'http://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: _.map(crumbs, function(crumb, i) {
+          return {
+            '@type': 'ListItem',
+            position: i + 1,
+            item: {
+              '@id': origin + (crumb.url || crumb.slug),
+              name: crumb.title
+            }
+          };
+        })
+      });
+    }
+
+    var type = self.getType(page.type);
+    if (type && type.jsonLd) {
+      var more = type.jsonLd(page, args);
+      _.each(_.isArray(more) ? more : _.compact([ more ]), function(data) {
+        head.addJsonLd(data);
+      });
+    }
+
+    function defaultMeta(meta) {
+      var content = meta.content;
+      if ((content === undefined) || (content === null) || (content === '')) {
+        return;
+      }
+      if (_.find(head.meta, function(item) {
+        return (meta.name && (item.name === meta.name)) || (meta.property && (item.property === meta.property));
+      })) {
+        return;
+      }
+      head.addMeta(meta);
+    }
+  }
+
+  // The protocol and hostname of an absolute URL, such as
+  // req.absoluteUrl, or the empty string if there is none
+
+  function getOrigin(absoluteUrl) {
+    var matches = absoluteUrl && absoluteUrl.match(/^\w+:\/\/[^\/]+/);
+    return matches ? matches[0] : '';
+  }
+
+  // Create an object for collecting what goes in the head of a page, and the
+  // classes of its body. Any number of loaders and templates can contribute:
+  //
+  // req.head.setTitle('About Us');
+  // req.head.addMeta({ name: 'robots', content: 'noindex' });
+  // req.head.addLink({ rel: 'alternate', type: 'application/rss+xml', href: '/feed.xml' });
+  // req.head.addScript({ src: '/js/map.js' });
+  // req.head.addBodyClass('about-page');
+  //
+  // req.head.addJsonLd({ '@context': 'http://schema.org', '@type': 'Event', ... });
+  //
+  // In templates the methods return an empty string, so
+  // {{ head.addBodyClass('home') }} outputs nothing. The collected data is in
+  // the `title`, `meta`, `links`, `scripts`, `jsonLd` and `bodyClasses`
+  // properties, and head.html() returns the meta, link and script tags,
+  // JSON-LD included, as markup.
+  //
+  // Meta tags with the same name or property replace each other, as do
+  // links with the same rel and href and scripts with the same src.
+
+  self.newHead = function() {
+    var head = {
+      title: undefined,
+      meta: [],
+      links: [],
+      scripts: [],
+      jsonLd: [],
+      bodyClasses: []
+    };
+
+    head.setTitle = function(title) {
+      head.title = title;
+      return '';
+    };
+
+    head.addMeta = function(meta) {
+      replace(head.meta, meta, function(item) {
+        return (meta.name && (item.name === meta.name)) || (meta.property && (item.property === meta.property));
+      });
+      return '';
+    };
+
+    head.addLink = function(link) {
+      replace(head.links, link, function(item) {
+        return (item.rel === link.rel) && (item.href === link.href);
+      });
+      return '';
+    };
+
+    head.addScript = function(script) {
+      replace(head.scripts, script, function(item) {
+        return script.src && (item.src === script.src);
+      });
+      return '';
+    };
+
+    // Add a schema.org object, output as JSON-LD
+    head.addJsonLd = function(data) {
+      head.jsonLd.push(data);
+      return '';
+    };
+
+    head.addBodyClass = function(classes) {
+      head.bodyClasses = _.union(head.bodyClasses, _.compact(classes.split(/\s+/)));
+      return '';
+    };
+
+    head.html = function() {
+      var markup = [];
+      _.each(head.meta, function(meta) {
+        markup.push('<meta' + attributes(meta) + ' />');
+      });
+      _.each(head.links, function(link) {
+        markup.push('<link' + attributes(link) + ' />');
+      });
+      _.each(head.scripts, function(script) {
+        // Inline scripts come from code, not from users, so they are not escaped
+        markup.push('<script' + attributes(_.omit(script, 'content')) + '>' + (script.content || '') + '</script>');
+      });
+      _.each(head.jsonLd, function(data) {
+        // Don't let strings in the data end the script element
+        markup.push('<script type="application/ld+json">' + JSON.stringify(data).replace(/<\//g, '<\\/') + '</script>');
+      });
+      return markup.join('\n');
+    };
+
+    return head;
+
+    function replace(list, item, same) {
+      var existing = _.find(list, same);
+      if (existing) {
+        list[_.indexOf(list, existing)] = item;
+      } else {
+        list.push(item);
+      }
+    }
+
+    function attributes(object) {
+      return _.map(object, function(value, name) {
+        return ' ' + name + '="' + apos.escapeHtml(String(value)) + '"';
+      }).join('');
+    }
+  };
+
+  // Decorate the contents of args.content as a complete webpage. If args.refreshing is
+  // true, return just that content, as we're performing an AJAX refresh of the main
+  // content area. If args.refreshing is not true, return it as a completely
+  // new page (CSS, JS, head, body...) wrapped in the outerLayout template. This is
+  // made available to allow developers to render other content the same way
+  // Apostrophe pages are rendered. For instance, it's useful for a local
+  // login page template, a site reorganization screen or anything else that
+  // is a poor fit for a page template or a javascript modal.
+  //
+  // This may go away when nunjucks gets conditional extends.
+  //
+  // The title, meta and link tags, scripts and body classes for the outer
+  // layout come from args.head, see pages.newHead. pages.serve creates one
+  // for each request as req.head, which page templates also see as `head`.
+  // The outer layout receives it as `head` along with the `title`,
+  // `bodyClass` and `seoDescription` it always received.
+  //
+  // For compatibility, comments like this inside args.content still work:
+  //
+  // <!-- APOS-BODY-CLASS class names here -->
+  //
+  // As do APOS-TITLE, APOS-SEO-DESCRIPTION and APOS-EXTRA-HEAD.
+
+  self.decoratePageContent = function(args) {
+    // On an AJAX refresh of the main content area only, just send the
+    // main content area. The rest of the time, render the outerLayout and
+    // pass the main content to it
+    if (args.refreshing) {
+      return args.content;
+    } else {
+      var head = args.head || self.newHead();
+      args.head = head;
+
+      // Callers written before the head API pass these directly. Keep
+      // them unless the head or a marker in the content says otherwise
+      if (args.title && (head.title === undefined)) {
+        head.setTitle(args.title);
+      }
+      if (args.bodyClass) {
+        head.addBodyClass(args.bodyClass);
+      }
+      if (args.seoDescription && (!_.findWhere(head.meta, { name: 'description' }))) {
+        head.addMeta({ name: 'description', content: args.seoDescription });
+      }
+
+      // This is a bit of a nasty workaround: we need to communicate a few things
+      // to the outer layout, and since it must run as a separate invocation of
+      // nunjucks there's no great way to get them there.
+
+      // [\s\S] is like . but matches newlines too. Great workaround for the lack
+      // of a /s modifier in JavaScript
+      // http://stackoverflow.com/questions/1068280/javascript-regex-multiline-flag-doesnt-work
+
+      var match = args.content.match(/<\!\-\- APOS\-BODY\-CLASS ([\s\S]*?) \-\-\>/);
+      if (match) {
+        head.addBodyClass(match[1]);
+      }
+      match = args.content.match(/<\!\-\- APOS\-TITLE ([\s\S]*?) \-\-\>/);
+      if (match) {
+        head.setTitle(match[1]);
+      }
+      match = args.content.match(/<\!\-\- APOS\-EXTRA\-HEAD ([\s\S]*?) \-\-\>/);
+      if (match) {
+        args.extraHead = match[1];
+      }
+      match = args.content.match(/<\!\-\- APOS\-SEO\-DESCRIPTION ([\s\S]*?) \-\-\>/);
+      if (match) {
+        head.addMeta({ name: 'description', content: match[1] });
+      }
+
+      // Outer layouts written before the head API still look for these
+      args.title = head.title;
+      args.bodyClass = head.bodyClasses.join(' ');
+      var description = _.find(head.meta, function(meta) {
+        return meta.name === 'description';
+      });
+      args.seoDescription = description && description.content;
+
+      if (args.page && (options.metadata !== false)) {
+        addMetadata(args, head);
+      }
+
+      // The robots settings of the page, unless a loader or template
+      // already took care of it
+      var robots = _.filter([ 'noindex', 'nofollow' ], function(name) {
+        return args.page && args.page[name];
+      });
+      if (robots.length && (!_.findWhere(head.meta, { name: 'robots' }))) {
+        head.addMeta({ name: 'robots', content: robots.join(', ') });
+      }
+
+      // Let feed readers discover the feed of the page's children
+      if (args.page && args.page.feed) {
+        _.each(self.feedFormats, function(format, suffix) {
+          head.addLink({ rel: 'alternate', type: format.contentType, title: args.page.title, href: (args.page.url || args.page.slug) + suffix });
+        });
+      }
+
+      // Allow raw HTML slots on a true page update, without the risk
+      // of document.write blowing up a page during a partial update.
+      // This is pretty nasty too, keep thinking about alternatives.
+      if (!args.safeMode) {
+        args.content = args.content.replace(/<\!\-\- APOS\-RAW\-HTML\-BEFORE \-\-\>[\s\S]*?<\!\-\- APOS\-RAW\-HTML\-START \-\-\>([\s\S]*?)<\!\-\- APOS\-RAW\-HTML\-END \-\-\>[\s\S]*?<\!\-\- APOS\-RAW\-HTML\-AFTER \-\-\>/g, function(all, code) {
+        return ent.decode(code);
+        });
+      }
+
+      if (typeof(options.outerLayout) === 'function') {
+        return options.outerLayout(args);
+      } else {
+        return apos.partial(options.outerLayout || 'outerLayout', args);
+      }
+    }
+  };
+
+  // Sites: separate page trees served to different hostnames. Each site
+  // has the `path` of its home page, which is also the first component of
+  // the path of every page in its tree, and a `prefix` that begins the
+  // stored slug of every page in its tree. The prefix is not part of the
+  // URL, so each site can have its own /about page. The first site is
+  // served to hostnames that don't match any site. Without a `sites`
+  // option there is one site, the traditional tree with the home page at /.
+
+  self.sites = _.map(options.sites || [ {} ], function(site) {
+    site = _.defaults({}, site, {
+      path: 'home',
+      prefix: '',
+      hostnames: []
+    });
+    site.prefix = site.prefix.replace(/\/$/, '');
+    site.hostnames = _.map(site.hostnames, function(hostname) {
+      return hostname.toLowerCase();
+    });
+    return site;
+  });
+
+  // Return the site for the hostname of the request
+
+  self.getSite = function(req) {
+    var hostname = ((req.headers && req.headers.host) || '').replace(/:\d+$/, '').toLowerCase();
+    return _.find(self.sites, function(site) {
+      return _.contains(site.hostnames, hostname);
+    }) || self.sites[0];
+  };
+
+  // Return the site whose tree the page belongs to, or undefined if it is
+  // not part of a tree
+
+  self.getSiteOfPage = function(page) {
+    if (!page.path) {
+      return undefined;
+    }
+    var root = page.path.split('/')[0];
+    return _.find(self.sites, function(site) {
+      return site.path === root;
+    });
+  };
+
+  // Convert a slug as seen in the URL to the slug stored for a page of the
+  // site, for instance / to /micro and /about to /micro/about
+
+  self.prefixSlug = function(site, slug) {
+    if (!site.prefix) {
+      return slug;
+    }
+    return (slug === '/') ? site.prefix : (site.prefix + slug);
+  };
+
+  // The reverse of prefixSlug. Slugs that don't belong to the site are
+  // returned unchanged
+
+  self.getSiteSlug = function(site, slug) {
+    if ((!site) || (!site.prefix)) {
+      return slug;
+    }
+    if (slug === site.prefix) {
+      return '/';
+    }
+    if (slug.indexOf(site.prefix + '/') === 0) {
+      return slug.substr(site.prefix.length);
+    }
+    return slug;
+  };
+
+  // The URL of a page relative to `root`, the root option of pages.serve
+
+  function getUrl(page, root) {
+    return root + self.getSiteSlug(self.getSiteOfPage(page), page.slug);
+  }
+
+  // Record that the old slug `from` now redirects to the slug `to`, as when
+  // the slug of a page changes. So that there are no chains of redirects,
+  // older redirects to `from` are pointed straight at `to`. A redirect from
+  // `to` is removed, as `to` is a live page now. No redirect is created
+  // from a slug that is still live or back to itself, so there are no loops
+
+  self.updateRedirect = function(from, to, callback) {
+    if (from === to) {
+      return callback(null);
+    }
+    return async.series([ removeLive, flatten, checkLive, upsert ], function(err) {
+      if (err === 'live') {
+        return callback(null);
+      }
+      return callback(err);
+    });
+
+    function removeLive(callback) {
+      return apos.redirects.remove({ from: to }, callback);
+    }
+
+    function flatten(callback) {
+      return apos.redirects.update({ to: from }, { $set: { to: to } }, { multi: true, safe: true }, callback);
+    }
+
+    function checkLive(callback) {
+      return apos.pages.findOne({ slug: from }, { _id: 1 }, function(err, page) {
+        return callback(err || (page && 'live'));
+      });
+    }
+
+    function upsert(callback) {
+      return apos.redirects.update({ from: from }, { from: from, to: to }, { upsert: true, safe: true }, callback);
+    }
+  };
+
+  // Repair the redirects recorded so far: remove the ones whose `from` is a
+  // live page or that go around in a loop, and point the rest straight at
+  // the end of their chains. Run by the apostrophe:cleanRedirects task
+
+  self.cleanRedirects = function(callback) {
+    var redirects;
+    var targets = {};
+    var live = {};
+    return async.series([ getRedirects, getLive, clean ], callback);
+
+    function getRedirects(callback) {
+      return apos.redirects.find({}).toArray(function(err, redirectsArg) {
+        redirects = redirectsArg;
+        _.each(redirects, function(redirect) {
+          targets[redirect.from] = redirect.to;
+        });
+        return callback(err);
+      });
+    }
+
+    function getLive(callback) {
+      return apos.pages.find({ slug: { $in: _.keys(targets) } }, { slug: 1 }).toArray(function(err, pages) {
+        _.each(pages, function(page) {
+          live[page.slug] = true;
+        });
+        return callback(err);
+      });
+    }
+
+    function clean(callback) {
+      return async.eachSeries(redirects, function(redirect, callback) {
+        if (live[redirect.from]) {
+          return apos.redirects.remove({ from: redirect.from }, callback);
+        }
+        // Follow the chain, stopping at a live page or a dead end
+        var to = redirect.to;
+        var seen = {};
+        seen[redirect.from] = true;
+        while (_.has(targets, to) && (!live[to])) {
+          if (seen[to]) {
+            return apos.redirects.remove({ from: redirect.from }, callback);
+          }
+          seen[to] = true;
+          to = targets[to];
+        }
+        if (to === redirect.to) {
+          return callback(null);
+        }
+        return apos.redirects.update({ from: redirect.from }, { $set: { to: to } }, { safe: true }, callback);
+      }, callback);
+    }
+  };
+
+  // Redirect rules, see pages.addRedirect
+
+  self.redirectRules = [];
+
+  // Add a rule that redirects URLs nothing else answers. Unlike the
+  // redirects recorded when a slug changes, a rule can match many URLs.
+  // Its properties are:
+  //
+  // `from`: the URL to match, relative to the site, such as /old-news.
+  //
+  // `match`: 'exact' (the default), 'prefix' to match `from` and every URL
+  // beneath it, or 'regex', in which case `from` is a regular expression
+  // or a string containing one.
+  //
+  // `to`: the URL to redirect to. Prefix rules add the rest of the URL
+  // beyond `from` to it. For regex rules, $1, $2 and so on are replaced
+  // with the groups the expression captured. URLs starting with / are
+  // relative to the site and to the `root` option of pages.serve.
+  //
+  // `pageId`: the _id of the page to redirect to, instead of `to`, so that
+  // the rule follows the page when its slug changes.
+  //
+  // `status`: 301 (the default), 302, or 410 to say the page is gone.
+  //
+  // `query`: if true, the query string is passed on to the new URL.
+  //
+  // `site`: the `path` of the only site the rule applies to, see pages.sites.
+  //
+  // Rules are tried in the order they were added. You can also pass an
+  // array of them as the `redirects` option of the module.
+
+  self.addRedirect = function(rule) {
+    rule = _.extend({ match: 'exact', status: 301 }, rule);
+    if (!_.contains([ 'exact', 'prefix', 'regex' ], rule.match)) {
+      throw new Error('addRedirect: match must be exact, prefix or regex');
+    }
+    if (!_.contains([ 301, 302, 410 ], rule.status)) {
+      throw new Error('addRedirect: status must be 301, 302 or 410');
+    }
+    if ((rule.status !== 410) && (rule.to === undefined) && (!rule.pageId)) {
+      throw new Error('addRedirect: a rule needs `to` or `pageId`');
+    }
+    if ((rule.match === 'regex') && (!(rule.from instanceof RegExp))) {
+      rule.from = new RegExp(rule.from);
+    }
+    if (rule.match === 'prefix') {
+      rule.from = rule.from.replace(/\/$/, '');
+    }
+    self.redirectRules.push(rule);
+  };
+
+  _.each(options.redirects || [], function(rule) {
+    self.addRedirect(rule);
+  });
+
+  // Find the first redirect rule matching req.slug on req.site. Delivers
+  // an object with the `status` and, unless it is 410, the `url` to
+  // redirect to, or null if no rule applies. `root` is the `root` option
+  // of pages.serve
+
+  self.matchRedirect = function(req, root, callback) {
+    var slug = req.slug;
+    var rest = '';
+    var target;
+    var rule = _.find(self.redirectRules, function(rule) {
+      if (rule.site && ((!req.site) || (req.site.path !== rule.site))) {
+        return false;
+      }
+      if (rule.match === 'exact') {
+        return slug === rule.from;
+      }
+      if (rule.match === 'prefix') {
+        if ((rule.from !== '') && (slug !== rule.from) && (slug.indexOf(rule.from + '/') !== 0)) {
+          return false;
+        }
+        rest = slug.substr(rule.from.length);
+        return true;
+      }
+      var matches = slug.match(rule.from);
+      if (!matches) {
+        return false;
+      }
+      if (rule.to !== undefined) {
+        target = rule.to.replace(/\$(\d)/g, function(all, n) {
+          return matches[n] || '';
+        });
+      }
+      return true;
+    });
+    if (!rule) {
+      return callback(null, null);
+    }
+    if (rule.status === 410) {
+      return callback(null, { status: 410 });
+    }
+    if (!rule.pageId) {
+      if (target === undefined) {
+        target = rule.to.replace(/\/$/, '') + rest;
+      }
+      return finish(target.match(/^\w+:/) ? target : (root + (target || '/')));
+    }
+    return apos.pages.findOne({ _id: rule.pageId, trash: { $ne: true } }, { slug: 1, path: 1 }, function(err, page) {
+      if (err || (!page)) {
+        return callback(err, null);
+      }
+      var site = self.getSiteOfPage(page);
+      var url = getUrl(page, root).replace(/\/$/, '') + rest;
+      // Pages of another site are found at that site's hostname
+      if (site && (site !== req.site) && site.hostnames.length) {
+        url = req.protocol + '://' + site.hostnames[0] + url;
+      }
+      return finish(url || '/');
+    });
+
+    function finish(url) {
+      // What the visitor typed must never turn a local URL into a
+      // protocol-relative one, such as //example.com, for another host
+      if (!url.match(/^\w+:/)) {
+        url = url.replace(/^[\/\\]+/, '/');
+      }
+      var query = req.url.match(/\?(.*)$/);
+      if (rule.query && query) {
+        url += ((url.indexOf('?') === -1) ? '?' : '&') + query[1];
+      }
+      return callback(null, { status: rule.status, url: url });
+    }
+  };
+
+  // Deliver the page that has the given slug as one of its `aliases`, or
+  // null. The slug includes the site prefix, see pages.sites. Aliases are
+  // additional slugs a page can also be reached at
+
+  self.getPageByAlias = function(req, slug, callback) {
+    return apos.get(req, { aliases: slug }, { limit: 1, sort: false }, function(err, results) {
+      if (err) {
+        return callback(err);
       }
-    };
+      var page = results.pages[0] || null;
+      if (page && (!page.areas)) {
+        page.areas = {};
+      }
+      return callback(null, page);
+    });
   };
 
-  // We send the current page's metadata as inline JSON that winds up in
-  // apos.data.aposPages.page in the browser. It's very helpful for building
-  // page manipulation UI. But we shouldn't redundantly send the areas, as we are already
-  // rendering the ones we care about. And we shouldn't send our relatives
-  // as we're already rendering those as navigation if we want them. Also
-  // prune out the search text which can contain characters that are valid
-  // JSON but not valid JS (the existence of this is a nightmare):
-  // https://code.google.com/p/v8/issues/detail?id=1907
+  // Deliver the trashcan of a site. It is always the only trash page at
+  // level 1 of the site, so we don't have to hardcode the slug
 
-  self.prunePage = function(page) {
-    return _.omit(page, 'areas', 'tabs', 'ancestors', 'children', 'peers', 'lowSearchText', 'highSearchText', 'searchSummary');
+  self.getTrash = function(site, callback) {
+    return apos.pages.findOne({ trash: true, level: 1, path: new RegExp('^' + RegExp.quote(site.path + '/')) }, function(err, trash) {
+      if (err) {
+        return callback(err);
+      }
+      if (!trash) {
+        return callback('Site has no trashcan, contact administrator');
+      }
+      return callback(null, trash);
+    });
   };
 
-  // Decorate the contents of args.content as a complete webpage. If args.refreshing is
-  // true, return just that content, as we're performing an AJAX refresh of the main
-  // content area. If args.refreshing is not true, return it as a completely
-  // new page (CSS, JS, head, body...) wrapped in the outerLayout template. This is
-  // made available to allow developers to render other content the same way
-  // Apostrophe pages are rendered. For instance, it's useful for a local
-  // login page template, a site reorganization screen or anything else that
-  // is a poor fit for a page template or a javascript modal.
-  //
-  // This may go away when nunjucks gets conditional extends.
-  //
-  // As a workaround to allow you to set the body class, use a comment like this
-  // inside args.content:
-  //
-  // <!-- APOS-BODY-CLASS class names here -->
+  // Pages may have `publishAt` and `unpublishAt` dates. Outside that window
+  // they are treated as unpublished, except for those who can edit them.
+  // Returns true if the page is inside its window right now
 
-  self.decoratePageContent = function(args) {
-    // On an AJAX refresh of the main content area only, just send the
-    // main content area. The rest of the time, render the outerLayout and
-    // pass the main content to it
-    if (args.refreshing) {
-      return args.content;
-    } else {
-      // This is a bit of a nasty workaround: we need to communicate a few things
-      // to the outer layout, and since it must run as a separate invocation of
-      // nunjucks there's no great way to get them there.
+  self.isWithinSchedule = function(page) {
+    var now = new Date();
+    if (page.publishAt && (page.publishAt > now)) {
+      return false;
+    }
+    if (page.unpublishAt && (page.unpublishAt <= now)) {
+      return false;
+    }
+    return true;
+  };
 
-      // [\s\S] is like . but matches newlines too. Great workaround for the lack
-      // of a /s modifier in JavaScript
-      // http://stackoverflow.com/questions/1068280/javascript-regex-multiline-flag-doesnt-work
+  // MongoDB criteria matching pages that are inside their publishAt and
+  // unpublishAt window right now, or that the user can edit. Admins see
+  // everything
 
-      var match = args.content.match(/<\!\-\- APOS\-BODY\-CLASS ([\s\S]*?) \-\-\>/);
-      if (match) {
-        args.bodyClass = match[1];
-      }
-      match = args.content.match(/<\!\-\- APOS\-TITLE ([\s\S]*?) \-\-\>/);
-      if (match) {
-        args.title = match[1];
+  self.getScheduleCriteria = function(req) {
+    if (req.user && req.user.permissions && req.user.permissions.admin) {
+      return {};
+    }
+    var now = new Date();
+    var clauses = [ { publishAt: { $not: { $gt: now } }, unpublishAt: { $not: { $lte: now } } } ];
+    if (req.user) {
+      clauses.push({ editPersonIds: { $in: [ req.user._id ] } });
+      if (req.user.groupIds && req.user.groupIds.length) {
+        clauses.push({ editGroupIds: { $in: req.user.groupIds } });
       }
-      match = args.content.match(/<\!\-\- APOS\-EXTRA\-HEAD ([\s\S]*?) \-\-\>/);
-      if (match) {
-        args.extraHead = match[1];
+    }
+    return { $or: clauses };
+  };
+
+  // A page whose `feed` setting is on offers a feed of its children at
+  // each of these suffixes of its URL, such as /news/feed.xml. `format` is
+  // the method that renders it
+
+  self.feedFormats = {
+    '/feed.xml': { contentType: 'application/rss+xml', format: 'formatRss' },
+    '/atom.xml': { contentType: 'application/atom+xml', format: 'formatAtom' }
+  };
+
+  // The most entries in a feed
+  var feedLimit = options.feedLimit || 20;
+
+  // Deliver the feed entries for the children of the page that anonymous
+  // visitors can see, newest first. Each has a `title`, a `url` starting
+  // with `root`, a `description` (the SEO description of the child, or a
+  // teaser from its text) and a `date`: its publishedAt date if a module
+  // set one, otherwise its createdAt date, otherwise its updatedAt date.
+  // Entries with no date at all come last
+
+  self.getFeed = function(page, root, callback) {
+    var criteria = { published: true, loginRequired: { $in: [ null, '' ] } };
+    return self.getDescendants({}, page, criteria, { root: root, areas: true }, function(err, children) {
+      if (err) {
+        return callback(err);
       }
-      match = args.content.match(/<\!\-\- APOS\-SEO\-DESCRIPTION ([\s\S]*?) \-\-\>/);
-      if (match) {
-        args.seoDescription = match[1];
+      var entries = _.map(children, function(child) {
+        return {
+          title: child.title,
+          url: child.url,
+          description: child.seoDescription || self.getTeaser(child),
+          date: child.publishedAt || child.createdAt || child.updatedAt
+        };
+      });
+      entries = _.sortBy(entries, function(entry) {
+        return entry.date ? -new Date(entry.date).getTime() : Infinity;
+      });
+      return callback(null, entries.slice(0, feedLimit));
+    });
+  };
+
+  // Plaintext from the rich text of the page's areas, cut off at a word
+  // boundary before `length` characters (300 by default)
+
+  self.getTeaser = function(page, length) {
+    length = length || 300;
+    var text = [];
+    _.each(page.areas || {}, function(area) {
+      _.each((area && area.items) || [], function(item) {
+        if ((item.type === 'richText') && item.content) {
+          text.push(apos.htmlToPlaintext(item.content));
+        }
+      });
+    });
+    text = text.join(' ').replace(/\s+/g, ' ').trim();
+    if (text.length <= length) {
+      return text;
+    }
+    return text.substr(0, length).replace(/\s+\S*$/, '') + '...';
+  };
+
+  // The XML of an RSS 2.0 feed. `feed` has `title`, `description`, `url`,
+  // `feedUrl` and `entries` properties, with absolute URLs
+
+  self.formatRss = function(feed) {
+    var xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '<channel>',
+      '<title>' + apos.escapeHtml(feed.title) + '</title>',
+      '<link>' + apos.escapeHtml(feed.url) + '</link>',
+      '<description>' + apos.escapeHtml(feed.description) + '</description>',
+      '<atom:link href="' + apos.escapeHtml(feed.feedUrl) + '" rel="self" type="application/rss+xml" />'
+    ];
+    _.each(feed.entries, function(entry) {
+      xml.push('<item>');
+      xml.push('<title>' + apos.escapeHtml(entry.title) + '</title>');
+      xml.push('<link>' + apos.escapeHtml(entry.url) + '</link>');
+      xml.push('<guid>' + apos.escapeHtml(entry.url) + '</guid>');
+      xml.push('<description>' + apos.escapeHtml(entry.description || '') + '</description>');
+      if (entry.date) {
+        xml.push('<pubDate>' + new Date(entry.date).toUTCString() + '</pubDate>');
       }
+      xml.push('</item>');
+    });
+    xml.push('</channel>', '</rss>');
+    return xml.join('\n') + '\n';
+  };
 
-      // Allow raw HTML slots on a true page update, without the risk
-      // of document.write blowing up a page during a partial update.
-      // This is pretty nasty too, keep thinking about alternatives.
-      if (!args.safeMode) {
-        args.content = args.content.replace(/<\!\-\- APOS\-RAW\-HTML\-BEFORE \-\-\>[\s\S]*?<\!\-\- APOS\-RAW\-HTML\-START \-\-\>([\s\S]*?)<\!\-\- APOS\-RAW\-HTML\-END \-\-\>[\s\S]*?<\!\-\- APOS\-RAW\-HTML\-AFTER \-\-\>/g, function(all, code) {
-        return ent.decode(code);
+  // The XML of an Atom feed, from the same `feed` object as formatRss
+
+  self.formatAtom = function(feed) {
+    var dates = _.compact(_.pluck(feed.entries, 'date'));
+    var updated = dates.length ? new Date(dates[0]) : new Date();
+    var xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      '<title>' + apos.escapeHtml(feed.title) + '</title>',
+      '<subtitle>' + apos.escapeHtml(feed.description) + '</subtitle>',
+      '<link href="' + apos.escapeHtml(feed.url) + '" />',
+      '<link href="' + apos.escapeHtml(feed.feedUrl) + '" rel="self" />',
+      '<id>' + apos.escapeHtml(feed.url) + '</id>',
+      '<updated>' + updated.toISOString() + '</updated>'
+    ];
+    _.each(feed.entries, function(entry) {
+      xml.push('<entry>');
+      xml.push('<title>' + apos.escapeHtml(entry.title) + '</title>');
+      xml.push('<link href="' + apos.escapeHtml(entry.url) + '" />');
+      xml.push('<id>' + apos.escapeHtml(entry.url) + '</id>');
+      xml.push('<updated>' + (entry.date ? new Date(entry.date) : updated).toISOString() + '</updated>');
+      xml.push('<summary>' + apos.escapeHtml(entry.description || '') + '</summary>');
+      xml.push('</entry>');
+    });
+    xml.push('</feed>');
+    return xml.join('\n') + '\n';
+  };
+
+  // Sitemaps list the pages of a site that anonymous visitors can see and
+  // search engines may index. The `sitemap` option of the module can set `root`, the
+  // same as for pages.serve, `baseUrl`, used by the apostrophe:sitemap task,
+  // `perFile`, the most URLs in one sitemap file, and `lifetime`, how many
+  // seconds /sitemap.xml and its parts are served from memory before being
+  // built again. Set it to false to turn off /sitemap.xml and the task.
+
+  var sitemapOptions = _.defaults((typeof(options.sitemap) === 'object') ? options.sitemap : {}, {
+    root: '',
+    perFile: 50000,
+    lifetime: 300
+  });
+
+  // Sitemap files built recently, by site path and base URL. There are only
+  // a few base URLs per site, see getSitemapBaseUrl, but the oldest entries
+  // are dropped beyond this many all the same
+  var sitemapCache = {};
+  var sitemapCacheMaxEntries = 20;
+
+  // The choices for the changefreq setting of a page
+  self.sitemapChangefreqs = [ 'always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never' ];
+
+  // Deliver the sitemap entries of a site, each with a `url` relative to
+  // the site and optional `lastmod`, `priority` and `changefreq` properties.
+  // Pages whose type has a `sitemap` function, function(req, page,
+  // callback), also contribute the entries it delivers, for instance the
+  // permalinks of blog posts. `page.url` is set for its convenience
+
+  self.getSitemap = function(site, callback) {
+    var entries = [];
+    var pages;
+    // Only what anonymous visitors can see
+    var anonReq = {};
+    return async.series([ getPages, addTypeEntries ], function(err) {
+      return callback(err, entries);
+    });
+
+    function getPages(callback) {
+      var criteria = {
+        $and: [
+          { slug: /^\//, path: new RegExp('^' + RegExp.quote(site.path) + '(/|$)') },
+          { published: true, loginRequired: { $in: [ null, '' ] }, noindex: { $ne: true } },
+          self.getScheduleCriteria(anonReq)
+        ]
+      };
+      return apos.get(anonReq, criteria, { orphan: false, sort: { path: 1 }, fields: { areas: 0, lowSearchText: 0, highSearchText: 0, searchSummary: 0 } }, function(err, results) {
+        if (err) {
+          return callback(err);
+        }
+        pages = results.pages;
+        _.each(pages, function(page) {
+          page.url = getUrl(page, sitemapOptions.root);
+          entries.push({
+            url: page.url,
+            lastmod: page.updatedAt,
+            priority: page.sitemapPriority,
+            changefreq: page.sitemapChangefreq
+          });
+        });
+        return callback(null);
+      });
+    }
+
+    function addTypeEntries(callback) {
+      return async.eachSeries(pages, function(page, callback) {
+        var type = self.getType(page.type);
+        if (!(type && type.sitemap)) {
+          return callback(null);
+        }
+        return type.sitemap(anonReq, page, function(err, more) {
+          if (err) {
+            return callback(err);
+          }
+          entries = entries.concat(more || []);
+          return callback(null);
         });
+      }, callback);
+    }
+  };
+
+  // Deliver the sitemap files of a site as an object whose keys are
+  // filenames and whose values are XML. Up to the `perFile` option there is
+  // just sitemap.xml. Beyond that sitemap.xml is an index of sitemap-1.xml,
+  // sitemap-2.xml and so on. baseUrl is the protocol and hostname of
+  // the site, such as http://example.com
+
+  self.getSitemapFiles = function(site, baseUrl, callback) {
+    return self.getSitemap(site, function(err, entries) {
+      if (err) {
+        return callback(err);
+      }
+      var files = {};
+      if (entries.length <= sitemapOptions.perFile) {
+        files['sitemap.xml'] = self.formatSitemap(entries, baseUrl);
+        return callback(null, files);
       }
+      var names = [];
+      for (var i = 0; (i * sitemapOptions.perFile < entries.length); i++) {
+        var name = 'sitemap-' + (i + 1) + '.xml';
+        names.push(name);
+        files[name] = self.formatSitemap(entries.slice(i * sitemapOptions.perFile, (i + 1) * sitemapOptions.perFile), baseUrl);
+      }
+      files['sitemap.xml'] = self.formatSitemapIndex(_.map(names, function(name) {
+        return baseUrl + sitemapOptions.root + '/' + name;
+      }));
+      return callback(null, files);
+    });
+  };
 
-      if (typeof(options.outerLayout) === 'function') {
-        return options.outerLayout(args);
+  // pages.getSitemapFiles, except that the files are kept for the
+  // `lifetime` of the sitemap option, so that a search engine fetching
+  // sitemap.xml and then each of its parts doesn't have them built every
+  // time. Requests arriving while they are built wait for the same files
+
+  self.getCachedSitemapFiles = function(site, baseUrl, callback) {
+    var key = site.path + ' ' + baseUrl;
+    var entry = sitemapCache[key];
+    if (entry && entry.files && (entry.expires >= (new Date()).getTime())) {
+      return callback(null, entry.files);
+    }
+    if (entry && entry.waiting) {
+      entry.waiting.push(callback);
+      return;
+    }
+    var keys = _.keys(sitemapCache);
+    while (keys.length >= sitemapCacheMaxEntries) {
+      delete sitemapCache[keys.shift()];
+    }
+    entry = sitemapCache[key] = { waiting: [ callback ] };
+    return self.getSitemapFiles(site, baseUrl, function(err, files) {
+      var waiting = entry.waiting;
+      delete entry.waiting;
+      if (err) {
+        delete sitemapCache[key];
       } else {
-        return apos.partial(options.outerLayout || 'outerLayout', args);
+        entry.files = files;
+        entry.expires = (new Date()).getTime() + (sitemapOptions.lifetime * 1000);
+      }
+      _.each(waiting, function(callback) {
+        return callback(err, files);
+      });
+    });
+  };
+
+  // The protocol and hostname the sitemap URLs of a request begin with. The
+  // Host header is up to the client, so it is only used if it is one of the
+  // hostnames of the site. Otherwise the `baseUrl` of the sitemap option
+  // or the first hostname of the site is used. Without either, the Host
+  // header is all there is
+
+  self.getSitemapBaseUrl = function(req, site) {
+    var host = req.get('host') || '';
+    var hostname = host.replace(/:\d+$/, '').toLowerCase();
+    if (_.contains(site.hostnames, hostname)) {
+      return req.protocol + '://' + host;
+    }
+    if (sitemapOptions.baseUrl) {
+      return sitemapOptions.baseUrl.replace(/\/$/, '');
+    }
+    if (site.hostnames.length) {
+      return req.protocol + '://' + site.hostnames[0];
+    }
+    return req.protocol + '://' + host;
+  };
+
+  // The XML of a sitemap of the given entries. Their URLs are relative to
+  // baseUrl unless they are absolute already
+
+  self.formatSitemap = function(entries, baseUrl) {
+    var xml = [ '<?xml version="1.0" encoding="UTF-8"?>', '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' ];
+    _.each(entries, function(entry) {
+      var url = entry.url.match(/^\w+:/) ? entry.url : (baseUrl + entry.url);
+      xml.push('<url>');
+      xml.push('<loc>' + apos.escapeHtml(url) + '</loc>');
+      if (entry.lastmod) {
+        xml.push('<lastmod>' + new Date(entry.lastmod).toISOString() + '</lastmod>');
+      }
+      if ((entry.priority !== undefined) && (entry.priority !== null)) {
+        xml.push('<priority>' + entry.priority + '</priority>');
+      }
+      if (entry.changefreq) {
+        xml.push('<changefreq>' + entry.changefreq + '</changefreq>');
+      }
+      xml.push('</url>');
+    });
+    xml.push('</urlset>');
+    return xml.join('\n') + '\n';
+  };
+
+  // The XML of a sitemap index listing the given sitemap URLs
+
+  self.formatSitemapIndex = function(urls) {
+    var xml = [ '<?xml version="1.0" encoding="UTF-8"?>', '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' ];
+    _.each(urls, function(url) {
+      xml.push('<sitemap><loc>' + apos.escapeHtml(url) + '</loc></sitemap>');
+    });
+    xml.push('</sitemapindex>');
+    return xml.join('\n') + '\n';
+  };
+
+  // Preview links let anyone who has one see a page, and optionally its
+  // subpages, before it is published. The token in the link is signed with
+  // the `previewSecret` option, so links keep working across restarts and
+  // processes only if you set it.
+
+  var previewSecret = options.previewSecret || crypto.randomBytes(32).toString('hex');
+
+  // How long preview links last, in seconds. The default is a week
+  var previewLifetime = options.previewLifetime || (7 * 24 * 60 * 60);
+
+  // Create a preview of the page that expires after the previewLifetime
+  // option. It is recorded in the page's `previews` array, which holds no
+  // secrets: the token for each one can be computed again with
+  // pages.getPreviewToken. Delivers the new preview, which has `subtree`,
+  // `expires`, `createdAt` and `author` properties
+
+  self.createPreview = function(req, page, subtree, callback) {
+    var now = new Date();
+    var preview = {
+      subtree: !!subtree,
+      expires: new Date(now.getTime() + (previewLifetime * 1000)),
+      createdAt: now,
+      author: (req.user && req.user.username) ? req.user.username : 'unknown'
+    };
+    return apos.pages.update({ _id: page._id }, { $push: { previews: preview } }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, preview);
+    });
+  };
+
+  // The token for the apos_preview query parameter of a preview
+
+  self.getPreviewToken = function(page, preview) {
+    var data = new Buffer(JSON.stringify({ id: page._id, subtree: !!preview.subtree, expires: new Date(preview.expires).getTime() })).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return data + '.' + signPreview(data);
+  };
+
+  // Returns { pageId: ..., subtree: true or false } if the token is
+  // genuine and has not expired, otherwise undefined
+
+  self.verifyPreview = function(token) {
+    if (typeof(token) !== 'string') {
+      return undefined;
+    }
+    var parts = token.split('.');
+    if ((parts.length !== 2) || (!sameString(signPreview(parts[0]), parts[1]))) {
+      return undefined;
+    }
+    var info;
+    try {
+      info = JSON.parse(new Buffer(parts[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+    } catch (e) {
+      return undefined;
+    }
+    if ((!info) || (typeof(info.expires) !== 'number') || (info.expires < (new Date()).getTime())) {
+      return undefined;
+    }
+    return { pageId: info.id, subtree: !!info.subtree };
+  };
+
+  // The previews a request may see: the one in the apos_preview query
+  // parameter plus any seen earlier in the session, so that reviewers can
+  // follow links within a subtree. Expired tokens are dropped
+
+  self.getPreviews = function(req) {
+    var tokens = (req.session && req.session.aposPreviews) || [];
+    if (req.query.apos_preview) {
+      tokens = tokens.concat([ req.query.apos_preview ]);
+    }
+    if (!tokens.length) {
+      return [];
+    }
+    var valid = [];
+    var previews = [];
+    _.each(_.uniq(tokens), function(token) {
+      var preview = self.verifyPreview(token);
+      if (preview) {
+        valid.push(token);
+        previews.push(preview);
+      }
+    });
+    if (req.session) {
+      req.session.aposPreviews = valid;
+    }
+    return previews;
+  };
+
+  // Delivers true if one of the previews covers the page
+
+  self.previewCovers = function(previews, page, callback) {
+    if (_.some(previews, function(preview) {
+      return preview.pageId === page._id;
+    })) {
+      return callback(null, true);
+    }
+    var subtrees = _.pluck(_.filter(previews, function(preview) {
+      return preview.subtree;
+    }), 'pageId');
+    if ((!subtrees.length) || (!page.path)) {
+      return callback(null, false);
+    }
+    return apos.pages.find({ _id: { $in: subtrees } }, { path: 1 }).toArray(function(err, roots) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, _.some(roots, function(root) {
+        return root.path && (page.path.indexOf(root.path + '/') === 0);
+      }));
+    });
+  };
+
+  function signPreview(data) {
+    return crypto.createHmac('sha256', previewSecret).update(data).digest('hex');
+  }
+
+  // Compare strings in constant time so signatures can't be guessed a
+  // character at a time
+
+  function sameString(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    var difference = 0;
+    for (var i = 0; (i < a.length); i++) {
+      difference |= (a.charCodeAt(i) ^ b.charCodeAt(i));
+    }
+    return difference === 0;
+  }
+
+  // Passphrase-protected pages, those whose loginRequired setting is
+  // `passphrase`, are shown to visitors who have entered the page's shared
+  // passphrase and to those who can edit the page. Only a salted hash of the
+  // passphrase is kept, in the page's `passphrase` property. A visitor who
+  // enters it gets a grant in their session covering the page and those of
+  // its descendants that share the same passphrase, which is what
+  // "Apply to Subpages" gives them. Setting a new passphrase revokes the
+  // grants for the old one.
+
+  // Hash a passphrase. Delivers { salt: ..., hash: ... }. If salt is not
+  // given a new one is made up
+
+  self.hashPassphrase = function(passphrase, salt, callback) {
+    salt = salt || crypto.randomBytes(16).toString('hex');
+    return crypto.pbkdf2(String(passphrase), salt, 10000, 32, 'sha256', function(err, key) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, { salt: salt, hash: key.toString('hex') });
+    });
+  };
+
+  // Delivers true if the passphrase is the right one for the page
+
+  self.checkPassphrase = function(page, passphrase, callback) {
+    if ((!page.passphrase) || (typeof(passphrase) !== 'string') || (!passphrase.length)) {
+      return callback(null, false);
+    }
+    return self.hashPassphrase(passphrase, page.passphrase.salt, function(err, hashed) {
+      if (err) {
+        return callback(err);
       }
+      return callback(null, sameString(hashed.hash, page.passphrase.hash));
+    });
+  };
+
+  // Remember in the session that the visitor knows the passphrase of the page
+
+  self.grantPassphrase = function(req, page) {
+    var grants = _.filter(req.session.aposPassphrases || [], function(grant) {
+      return grant.path !== page.path;
+    });
+    grants.push({ path: page.path, salt: page.passphrase.salt });
+    req.session.aposPassphrases = grants;
+  };
+
+  // Passphrases are often short, so each IP address gets a limited number
+  // of wrong guesses, the `passphraseAttempts` option (5 by default), after
+  // which it must wait out the `passphraseLockout` option, in seconds (15
+  // minutes by default). Failures are forgotten after the same time
+
+  var passphraseAttempts = options.passphraseAttempts || 5;
+  var passphraseLockout = options.passphraseLockout || (15 * 60);
+  var passphraseFailures = {};
+
+  // True if the visitor has guessed wrong too many times lately
+
+  self.passphraseLocked = function(req) {
+    var failures = passphraseFailures[getClientAddress(req)];
+    return !!(failures && (failures.expires >= (new Date()).getTime()) && (failures.count >= passphraseAttempts));
+  };
+
+  // Count a wrong passphrase against the visitor's address
+
+  self.notePassphraseFailure = function(req) {
+    var now = (new Date()).getTime();
+    // Don't let addresses seen long ago pile up
+    _.each(_.keys(passphraseFailures), function(address) {
+      if (passphraseFailures[address].expires < now) {
+        delete passphraseFailures[address];
+      }
+    });
+    var address = getClientAddress(req);
+    var failures = passphraseFailures[address] || (passphraseFailures[address] = { count: 0 });
+    failures.count++;
+    failures.expires = now + (passphraseLockout * 1000);
+  };
+
+  function getClientAddress(req) {
+    return req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+  }
+
+  // True if the visitor has entered the passphrase of the page, or of an
+  // ancestor that has the same passphrase
+
+  self.hasPassphraseGrant = function(req, page) {
+    if ((!page.passphrase) || (!page.path) || (!req.session)) {
+      return false;
     }
+    return _.some(req.session.aposPassphrases || [], function(grant) {
+      return (grant.salt === page.passphrase.salt) && ((page.path === grant.path) || (page.path.indexOf(grant.path + '/') === 0));
+    });
   };
 
   // Fetch ancestors of the specified page. We need req to
@@ -624,6 +3080,12 @@ function pages(options, callback) {
       root: ''
     });
 
+    if (req.pagesMemo && (options.memoize !== false)) {
+      return memoize(req, [ 'getAncestors', page._id, page.path, criteriaArg, options ], function(callback) {
+        return self.getAncestors(req, page, criteriaArg, _.extend({}, options, { memoize: false }), callback);
+      }, callback);
+    }
+
     var paths = [];
     // Pages that are not part of the tree and the home page of the tree
     // have no ancestors
@@ -668,6 +3130,9 @@ function pages(options, callback) {
         criteriaArg
       ]
     };
+    if (getOptions.permissions !== false) {
+      criteria.$and.push(self.getScheduleCriteria(req));
+    }
     // Get metadata about the related pages, skipping expensive stuff.
     // Sorting by path works because longer strings sort
     // later than shorter prefixes
@@ -677,7 +3142,7 @@ function pages(options, callback) {
       }
       var pages = results.pages;
       _.each(pages, function(page) {
-        page.url = options.root + page.slug;
+        page.url = getUrl(page, options.root);
       });
       return callback(null, pages);
     });
@@ -689,16 +3154,101 @@ function pages(options, callback) {
       callback = arguments[2];
       options = {};
     }
-    return self.getAncestors(req, page, options, function(err, ancestors) {
+    return self.getAncestors(req, page, options, function(err, ancestors) {
+      if (err) {
+        return callback(err);
+      }
+      if (!ancestors.length) {
+        return callback(null);
+      }
+      return callback(null, ancestors[ancestors.length - 1]);
+    });
+  };
+
+  // Within pages.serve the same page is only fetched once per request by
+  // apos.getPage, like the results of getAncestors, getDescendants and
+  // getByTags, so loaders and other modules calling apos.getPage share the
+  // lookups too. Pass `memoize: false` to any of them to fetch afresh, for
+  // instance after changing the page
+
+  var superGetPage = apos.getPage;
+  apos.getPage = function(req, slug, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    if (req.pagesMemo && (options.memoize !== false)) {
+      return memoize(req, [ 'getPage', slug, options ], function(callback) {
+        return superGetPage(req, slug, _.omit(options, 'memoize'), callback);
+      }, callback);
+    }
+    return superGetPage(req, slug, _.omit(options, 'memoize'), callback);
+  };
+
+  // Same as apos.getPage
+
+  self.getPage = function(req, slug, options, callback) {
+    return apos.getPage(req, slug, options, callback);
+  };
+
+  // Deliver the results of query(callback) to callback, making the query
+  // only once per request for the same key, which describes the helper and
+  // its arguments. Each caller gets its own copy of the results, so they
+  // can be modified freely. Errors are not remembered
+
+  function memoize(req, key, query, callback) {
+    key = JSON.stringify(key, function(name, value) {
+      if (name === 'memoize') {
+        return undefined;
+      }
+      // JSON would turn these into {}
+      if (value instanceof RegExp) {
+        return 'RegExp:' + value.toString();
+      }
+      return value;
+    });
+    var entry = req.pagesMemo[key];
+    if (entry && entry.results) {
+      return callback.apply(null, copyResults(entry.results));
+    }
+    if (entry) {
+      entry.waiting.push(callback);
+      return;
+    }
+    entry = req.pagesMemo[key] = { waiting: [ callback ] };
+    return query(function(err) {
+      var results = _.toArray(arguments);
       if (err) {
-        return callback(err);
-      }
-      if (!ancestors.length) {
-        return callback(null);
+        delete req.pagesMemo[key];
+      } else {
+        entry.results = results;
       }
-      return callback(null, ancestors[ancestors.length - 1]);
+      var waiting = entry.waiting;
+      entry.waiting = [];
+      _.each(waiting, function(callback) {
+        return callback.apply(null, copyResults(results));
+      });
     });
-  };
+
+    // Deep copies of pages and arrays of them. The same page delivered
+    // twice, as page and bestPage by apos.getPage, stays the same copy
+    function copyResults(results) {
+      var copies = [];
+      _.each(results, function(result, i) {
+        var first = _.indexOf(results, result);
+        if (first < i) {
+          copies.push(copies[first]);
+        } else if (_.isArray(result)) {
+          copies.push(extend(true, [], result));
+        } else if (result && (typeof(result) === 'object')) {
+          copies.push(extend(true, {}, result));
+        } else {
+          copies.push(result);
+        }
+      });
+      return copies;
+    }
+  }
 
   // The `trash` option controls whether pages with the trash flag are
   // included. If true, only trash is returned. If false, only non-trash
@@ -740,6 +3290,12 @@ function pages(options, callback) {
       options.orphan = false;
     }
 
+    if (req.pagesMemo && (options.memoize !== false)) {
+      return memoize(req, [ 'getDescendants', ofPage._id, ofPage.path, ofPage.level, criteriaArg, options ], function(callback) {
+        return self.getDescendants(req, ofPage, criteriaArg, _.extend({}, options, { memoize: false }), callback);
+      }, callback);
+    }
+
     var depth = options.depth;
     // Careful, let them specify a depth of 0 but still have a good default
     if (depth === undefined) {
@@ -754,6 +3310,9 @@ function pages(options, callback) {
         }, criteriaArg
       ]
     };
+    if (options.permissions !== false) {
+      criteria.$and.push(self.getScheduleCriteria(req));
+    }
 
     // Skip expensive things
     options.fields = { lowSearchText: 0, highSearchText: 0, searchSummary: 0 };
@@ -772,7 +3331,7 @@ function pages(options, callback) {
       var pagesByPath = {};
       _.each(pages, function(page) {
         page.children = [];
-        page.url = options.root + page.slug;
+        page.url = getUrl(page, options.root);
         pagesByPath[page.path] = page;
         var last = page.path.lastIndexOf('/');
         var parentPath = page.path.substr(0, last);
@@ -811,13 +3370,18 @@ function pages(options, callback) {
       callback = options;
       options = {};
     }
+    if (req.pagesMemo && (options.memoize !== false)) {
+      return memoize(req, [ 'getByTags', tags, options ], function(callback) {
+        return self.getByTags(req, tags, _.extend({}, options, { memoize: false }), callback);
+      }, callback);
+    }
     var projection;
     if (options.areas) {
       projection = {};
     } else {
       projection = { areas: 0 };
     }
-    var criteria = { path: { $exists: 1 }, tags: { $in: tags }};
+    var criteria = { path: { $exists: 1 }, tags: { $in: tags }, $and: [ self.getScheduleCriteria(req) ] };
     return apos.get(req, criteria, {}, function(err, results) {
       if (err) {
         return callback(err);
@@ -864,7 +3428,7 @@ function pages(options, callback) {
     var rank;
     var originalPath;
     var originalSlug;
-    async.series([getMoved, getTarget, getOldParent, getParent, permissions, nudgeOldPeers, nudgeNewPeers, moveSelf, moveDescendants, trashDescendants ], finish);
+    async.series([getMoved, getTarget, getOldParent, getParent, permissions, nudgeOldPeers, nudgeNewPeers, moveSelf, redirect, moveDescendants, trashDescendants ], finish);
     function getMoved(callback) {
       if (moved) {
         return callback(null);
@@ -923,16 +3487,13 @@ function pages(options, callback) {
           // It's legit to move a page before search or trash, but we
           // don't want its rank to wind up in the reserved range. Find
           // the rank of the next page down and increment that.
-          return self.pages.find({ slug: /^\//, path: /^home\/[^\/]$/ }, { rank: 1 }).sort({ rank: -1 }).limit(1).toArray(function(err, pages) {
+          var targetParentPath = target.path.substr(0, target.path.lastIndexOf('/'));
+          return apos.pages.find({ path: new RegExp('^' + RegExp.quote(targetParentPath + '/') + '[^\/]+$'), rank: { $lt: 1000000 } }, { rank: 1 }).sort({ rank: -1 }).limit(1).toArray(function(err, pages) {
             if (err) {
               return callback(err);
             }
-            if (!pages.length) {
-              rank = 1;
-              return callback(null);
-            }
-            rank = pages[0].rank;
-            return callback(null);
+            rank = pages.length ? (pages[0].rank + 1) : 1;
+            return getTargetParent(callback);
           });
         }
       } else if (position === 'after') {
@@ -944,6 +3505,9 @@ function pages(options, callback) {
       } else {
         return callback('no such position option');
       }
+      return getTargetParent(callback);
+    }
+    function getTargetParent(callback) {
       self.getParent(req, target, { getOptions: { permissions: false, trash: 'any' } }, function(err, parentArg) {
         if (!parentArg) {
           return callback('cannot create peer of home page');
@@ -1011,6 +3575,13 @@ function pages(options, callback) {
         return callback(null);
       });
     }
+    function redirect(callback) {
+      // Nobody should be sent to the trash
+      if (moved.trash) {
+        return callback(null);
+      }
+      return self.updateRedirect(originalSlug, moved.slug, callback);
+    }
     function moveDescendants(callback) {
       return self.updateDescendantPathsAndSlugs(moved, originalPath, originalSlug, function(err, changedArg) {
         if (err) {
@@ -1090,7 +3661,17 @@ function pages(options, callback) {
           // they did so intentionally)
           slug: newSlug,
           level: desc.level + (page.level - oldLevel)
-        }}, callback);
+        }}, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          // The old URL of the descendant keeps working too, unless
+          // it went to the trash
+          if (page.trash) {
+            return callback(null);
+          }
+          return self.updateRedirect(desc.slug, newSlug, callback);
+        });
       });
     }, function(err) {
       if (err) {
@@ -1135,6 +3716,31 @@ function pages(options, callback) {
   // once under the same name: usually the first time with just the name and label,
   // and the second time with a complete page type manager object, as when initializing
   // the blog module. The last version added wins.
+  //
+  // A type can also take part in pages.serve directly, without asking every
+  // project to add loaders. These optional properties are used whenever
+  // req.bestPage has this type:
+  //
+  // `load`: function(req, callback), a loader that runs along with the others.
+  // Other loaders can ask to run after it as 'type:' plus the type name.
+  //
+  // `template`: the name of the template to render instead of the type name, or
+  // a function(args, req) that returns the content, just like req.template.
+  //
+  // `superclass`: the name of another type whose templatePaths folder and
+  // template are used when this type has none of its own.
+  //
+  // `notfound`: function(req, callback), called when the URL matches a page of
+  // this type only partially. Set req.page to req.bestPage to accept the
+  // remainder (req.remainder); otherwise the usual 404 handling follows.
+  //
+  // `routes`: an array of routes for the remainder of the URL, each with a
+  // `pattern` such as '/:year/:month/:slug', an optional `template` and an
+  // optional `handler`, function(req, callback), which runs as a loader
+  // after the type's own. '/' matches the page itself. The first route that
+  // matches accepts the remainder and sets req.remainderParams, such as
+  // { year: '2013', month: '01', slug: 'kittens' }, and req.remainderRoute.
+  // The handler can still set req.notfound.
 
   self.addType = function(type) {
     var found = false;
@@ -1149,6 +3755,40 @@ function pages(options, callback) {
     apos.pushGlobalCallWhen('user', 'aposPages.addType(?)', { name: type.name, label: type.label });
   };
 
+  // Find the first of the routes whose pattern matches the remainder of a
+  // URL, see the `routes` option of pages.addType. Returns an object with
+  // the `route` and its `params`, or null
+
+  self.matchRoute = function(routes, remainder) {
+    var params;
+    var route = _.find(routes, function(route) {
+      if (!route.regExp) {
+        compileRoute(route);
+      }
+      var matches = remainder.match(route.regExp);
+      if (!matches) {
+        return false;
+      }
+      params = {};
+      _.each(route.paramNames, function(name, i) {
+        params[name] = matches[i + 1];
+      });
+      return true;
+    });
+    return route ? { route: route, params: params } : null;
+  };
+
+  // Each :name in the pattern of a route matches one part of the URL
+
+  function compileRoute(route) {
+    route.paramNames = [];
+    var source = RegExp.quote(route.pattern).replace(/:(\w+)/g, function(all, name) {
+      route.paramNames.push(name);
+      return '([^\/]+)';
+    });
+    route.regExp = new RegExp('^' + source + '$');
+  }
+
   // Get the index type objects corresponding to an instance or the name of an
   // instance type. Instance types are a relevant concept for snippet pages,
   // blog pages, event calendar pages, etc. and everything derived from them.
@@ -1209,6 +3849,7 @@ function pages(options, callback) {
     var parentSlug;
     var title;
     var seoDescription;
+    var shareImage;
     var type;
     var nextRank;
     var published;
@@ -1220,6 +3861,7 @@ function pages(options, callback) {
       title = 'New Page';
     }
     seoDescription = apos.sanitizeString(req.body.seoDescription).trim();
+    shareImage = apos.sanitizeString(req.body.shareImage).trim();
 
     published = apos.sanitizeBoolean(req.body.published, true);
     tags = apos.sanitizeTags(req.body.tags);
@@ -1267,7 +3909,10 @@ function pages(options, callback) {
     }
 
     function insertPage(callback) {
-      page = { title: title, seoDescription: seoDescription, published: published, tags: tags, type: type.name, level: parent.level + 1, areas: {}, path: parent.path + '/' + apos.slugify(title), slug: apos.addSlashIfNeeded(parentSlug) + apos.slugify(title), rank: nextRank };
+      page = { title: title, seoDescription: seoDescription, shareImage: shareImage, published: published, tags: tags, type: type.name, level: parent.level + 1, areas: {}, path: parent.path + '/' + apos.slugify(title), slug: apos.addSlashIfNeeded(parentSlug) + apos.slugify(title), rank: nextRank, createdAt: new Date() };
+      sanitizeSchedule(req, page);
+      sanitizeSitemap(req, page);
+      page.feed = apos.sanitizeBoolean(req.body.feed, false);
 
       // Permissions initially match those of the parent
       page.viewGroupIds = parent.viewGroupIds;
@@ -1277,11 +3922,20 @@ function pages(options, callback) {
       if (parent.loginRequired) {
         page.loginRequired = parent.loginRequired;
       }
+      if (parent.passphrase) {
+        page.passphrase = parent.passphrase;
+      }
 
       return async.series({
         applyPermissions: function(callback) {
           return self.applyPermissions(req, req.body, page, callback);
         },
+        applyRobots: function(callback) {
+          return self.applyRobots(req, req.body, page, callback);
+        },
+        applyPassphrase: function(callback) {
+          return self.applyPassphrase(req, req.body, page, callback);
+        },
         sanitizeTypeSettings: function(callback) {
           return addSanitizedTypeData(req, page, type, callback);
         },
@@ -1302,6 +3956,7 @@ function pages(options, callback) {
         res.statusCode = 500;
         return res.send('error');
       }
+      page.siteSlug = self.getSiteSlug(self.getSiteOfPage(page), page.slug);
       return res.send(JSON.stringify(page));
     }
   };
@@ -1319,9 +3974,11 @@ function pages(options, callback) {
     var tags;
     var type;
     var seoDescription;
+    var shareImage;
 
     title = apos.sanitizeString(req.body.title).trim();
     seoDescription = apos.sanitizeString(req.body.seoDescription).trim();
+    shareImage = apos.sanitizeString(req.body.shareImage).trim();
     // Validation is annoying, automatic cleanup is awesome
     if (!title.length) {
       title = 'Untitled Page';
@@ -1372,22 +4029,47 @@ function pages(options, callback) {
     }
 
     function updatePage(callback) {
+      // Keep the page within its own site's slugs, see pages.sites
+      var site = self.getSiteOfPage(page);
+      if (site && site.prefix && (slug !== site.prefix) && (slug.indexOf(site.prefix + '/') !== 0)) {
+        slug = self.prefixSlug(site, slug);
+      }
       page.title = title;
       page.seoDescription = seoDescription;
+      page.shareImage = shareImage;
       page.published = published;
+      sanitizeSchedule(req, page);
+      sanitizeSitemap(req, page);
+      if (req.body.feed !== undefined) {
+        page.feed = apos.sanitizeBoolean(req.body.feed, false);
+      }
       page.slug = slug;
+      // Leave the aliases alone on simple edits that don't mention them
+      if (req.body.aliases !== undefined) {
+        page.aliases = sanitizeAliases(req.body.aliases, site);
+      }
+      page.aliases = _.without(page.aliases || [], slug);
       page.tags = tags;
       type = determineType(req, page.type);
       page.type = type.name;
 
-      if ((slug !== originalSlug) && (originalSlug === '/')) {
+      if ((slug !== originalSlug) && (page.level === 0)) {
         return callback('Cannot change the slug of the home page');
       }
 
       return async.series({
+        aliases: function(callback) {
+          return availableAliases(page, callback);
+        },
         applyPermissions: function(callback) {
           return self.applyPermissions(req, req.body, page, callback);
         },
+        applyRobots: function(callback) {
+          return self.applyRobots(req, req.body, page, callback);
+        },
+        applyPassphrase: function(callback) {
+          return self.applyPassphrase(req, req.body, page, callback);
+        },
         sanitizeTypeSettings: function(callback) {
           return addSanitizedTypeData(req, page, type, callback);
         },
@@ -1404,7 +4086,7 @@ function pages(options, callback) {
     }
 
     function redirect(callback) {
-      apos.updateRedirect(originalSlug, slug, callback);
+      self.updateRedirect(originalSlug, slug, callback);
     }
 
     function updateDescendants(callback) {
@@ -1422,6 +4104,7 @@ function pages(options, callback) {
         res.statusCode = 500;
         return res.send(err);
       }
+      page.siteSlug = self.getSiteSlug(self.getSiteOfPage(page), page.slug);
       return res.send(JSON.stringify(page));
     }
   };
@@ -1451,6 +4134,80 @@ function pages(options, callback) {
     });
   };
 
+  // The robots settings of a page: `noindex` and `nofollow` go into the
+  // robots meta tag, and `searchExclude` leaves the page out of site search
+
+  self.robotsFields = [ 'noindex', 'nofollow', 'searchExclude' ];
+
+  // Given a data object with noindex, nofollow and searchExclude booleans,
+  // apply them to the page and, if loginRequiredPropagate is true, to all of
+  // its descendants, the same as the permissions. Like applyPermissions this
+  // does NOT save the page object itself.
+
+  self.applyRobots = function(req, data, page, callback) {
+    var command = {};
+    _.each(self.robotsFields, function(field) {
+      if (apos.sanitizeBoolean(data[field], false)) {
+        page[field] = true;
+        command.$set = command.$set || {};
+        command.$set[field] = true;
+      } else {
+        delete page[field];
+        command.$unset = command.$unset || {};
+        command.$unset[field] = 1;
+      }
+    });
+    if ((!apos.sanitizeBoolean(data.loginRequiredPropagate)) || (!page.path)) {
+      return callback(null);
+    }
+    return apos.pages.update({ path: new RegExp('^' + RegExp.quote(page.path) + '/') }, command, { multi: true }, function(err) {
+      // The descendants are not saved via apos.putPage, so drop cached
+      // copies of them with the old robots meta tag ourselves
+      self.invalidateCache(page, true);
+      return callback(err);
+    });
+  };
+
+  // Given a data object with a passphrase, hash it into the page if its
+  // loginRequired setting is `passphrase`. A blank passphrase keeps the
+  // current one, if any. With loginRequiredPropagate the descendants get the
+  // same passphrase, or lose theirs, along with the loginRequired setting.
+  // Call it after applyPermissions. Like applyPermissions this does NOT
+  // save the page object itself. See pages.hashPassphrase.
+
+  self.applyPassphrase = function(req, data, page, callback) {
+    var passphrase = apos.sanitizeString(data.passphrase);
+    return async.series([ hash, propagate ], callback);
+
+    function hash(callback) {
+      if (page.loginRequired !== 'passphrase') {
+        delete page.passphrase;
+        return callback(null);
+      }
+      if (!passphrase.length) {
+        return callback(page.passphrase ? null : 'A passphrase is required');
+      }
+      return self.hashPassphrase(passphrase, null, function(err, hashed) {
+        if (err) {
+          return callback(err);
+        }
+        page.passphrase = hashed;
+        return callback(null);
+      });
+    }
+
+    function propagate(callback) {
+      if ((!apos.sanitizeBoolean(data.loginRequiredPropagate)) || (!page.path)) {
+        return callback(null);
+      }
+      var command = page.passphrase ? { $set: { passphrase: page.passphrase } } : { $unset: { passphrase: 1 } };
+      return apos.pages.update({ path: new RegExp('^' + RegExp.quote(page.path) + '/') }, command, { multi: true }, function(err) {
+        self.invalidateCache(page, true);
+        return callback(err);
+      });
+    }
+  };
+
   // Given a request object for a user with suitable permissions and a data object
   // with loginRequired, loginRequiredPropagate, viewGroupIds, viewPersonIds,
   // and (if the user is an admin) editGroupIds and editPersonIds arrays,
@@ -1492,7 +4249,7 @@ function pages(options, callback) {
     var propagateAdd;
     var propagateSet;
     var propagateUnset;
-    var loginRequired = apos.sanitizeSelect(data.loginRequired, [ '', 'loginRequired', 'certainPeople' ], '');
+    var loginRequired = apos.sanitizeSelect(data.loginRequired, [ '', 'loginRequired', 'certainPeople', 'passphrase' ], '');
     if (loginRequired === '') {
       delete page.loginRequired;
     } else {
@@ -1567,7 +4324,12 @@ function pages(options, callback) {
       if (propagateUnset) {
         command.$unset = propagateUnset;
       }
-      return apos.pages.update({ path: new RegExp('^' + RegExp.quote(page.path) + '/') }, command, callback);
+      return apos.pages.update({ path: new RegExp('^' + RegExp.quote(page.path) + '/') }, command, { multi: true }, function(err) {
+        // The descendants are not saved via apos.putPage, so drop cached
+        // copies that anonymous visitors may no longer see
+        self.invalidateCache(page, true);
+        return callback(err);
+      });
     } else {
       return callback(null);
     }
@@ -1607,6 +4369,81 @@ function pages(options, callback) {
     return type;
   }
 
+  // Clean up the alias slugs of a page, submitted as an array or as a
+  // string separated by commas or whitespace, the way slugs are cleaned
+  // up. The home page of the site is not allowed
+
+  function sanitizeAliases(aliases, site) {
+    if (typeof(aliases) === 'string') {
+      aliases = aliases.split(/[\s,]+/);
+    }
+    if (!_.isArray(aliases)) {
+      return [];
+    }
+    aliases = _.map(aliases, function(alias) {
+      alias = apos.slugify(apos.sanitizeString(alias), { allow: '/' });
+      alias = ('/' + alias).replace(/\/+/g, '/').replace(/\/$/, '');
+      if ((!alias.length) || (alias === (site && site.prefix))) {
+        return null;
+      }
+      if (site && site.prefix && (alias.indexOf(site.prefix + '/') !== 0)) {
+        alias = self.prefixSlug(site, alias);
+      }
+      return alias;
+    });
+    return _.uniq(_.compact(aliases));
+  }
+
+  // Drop any aliases of the page that are already the slug or an alias
+  // of another page
+
+  function availableAliases(page, callback) {
+    if (!page.aliases.length) {
+      return callback(null);
+    }
+    return apos.pages.find({ _id: { $ne: page._id }, $or: [ { slug: { $in: page.aliases } }, { aliases: { $in: page.aliases } } ] }, { slug: 1, aliases: 1 }).toArray(function(err, pages) {
+      if (err) {
+        return callback(err);
+      }
+      var taken = _.flatten(_.map(pages, function(other) {
+        return [ other.slug ].concat(other.aliases || []);
+      }));
+      page.aliases = _.difference(page.aliases, taken);
+      return callback(null);
+    });
+  }
+
+  // Set page.publishAt and page.unpublishAt from the date and time fields
+  // of the page settings dialog, which arrive as ISO timestamps. An empty
+  // date clears the setting. Leave out a field, as clients that predate
+  // scheduling do, and it is left alone
+
+  function sanitizeSchedule(req, page) {
+    _.each([ 'publishAt', 'unpublishAt' ], function(name) {
+      if (req.body[name] === undefined) {
+        return;
+      }
+      // An ISO timestamp. Only the browser knows the editor's timezone, so
+      // it converts the date and time fields itself
+      var when = new Date(apos.sanitizeString(req.body[name]));
+      page[name] = isNaN(when.getTime()) ? null : when;
+    });
+  }
+
+  // Set the sitemap priority, from 0 to 1, and changefreq of the page from
+  // the page settings dialog. Empty values leave them to search engines.
+  // Fields left out of the request are left alone
+
+  function sanitizeSitemap(req, page) {
+    if (req.body.sitemapPriority !== undefined) {
+      var priority = parseFloat(req.body.sitemapPriority);
+      page.sitemapPriority = isNaN(priority) ? null : Math.min(Math.max(priority, 0), 1);
+    }
+    if (req.body.sitemapChangefreq !== undefined) {
+      page.sitemapChangefreq = apos.sanitizeSelect(req.body.sitemapChangefreq, self.sitemapChangefreqs, null);
+    }
+  }
+
   function addSanitizedTypeData(req, page, type, callback) {
     // Allow for sanitization of data submitted for specific page types.
     // If there is no sanitize function assume there is no data for safety
@@ -1658,14 +4495,34 @@ function pages(options, callback) {
 
     // Test whether a slug is available for use
     app.post('/apos-pages/slug-available', function(req, res) {
-      return apos.getPage(req, req.body.slug, function(err, page) {
+      // Slugs only need to be unique within a site, see pages.sites
+      var site = self.getSite(req);
+      var slug = req.body.slug;
+      if (site.prefix && (slug !== site.prefix) && (slug.indexOf(site.prefix + '/') !== 0)) {
+        slug = self.prefixSlug(site, slug);
+      }
+      return apos.getPage(req, slug, function(err, page) {
         if (err) {
           return res.send({ status: 'error' });
         }
         if (page) {
           return res.send({ status: 'taken' });
         }
-        return res.send({ status: 'ok' });
+        // An alias of another page also takes the slug. When checking
+        // aliases for a page, pass its _id as `pageId` to skip its own
+        var criteria = { aliases: slug };
+        if (req.body.pageId) {
+          criteria._id = { $ne: apos.sanitizeString(req.body.pageId) };
+        }
+        return apos.pages.findOne(criteria, { _id: 1 }, function(err, aliased) {
+          if (err) {
+            return res.send({ status: 'error' });
+          }
+          if (aliased) {
+            return res.send({ status: 'taken' });
+          }
+          return res.send({ status: 'ok' });
+        });
       });
     });
 
@@ -1675,19 +4532,7 @@ function pages(options, callback) {
       var page;
       var parent;
       var changed = [];
-      async.series([findTrash, findPage, findParent, movePage], respond);
-
-      function findTrash(callback) {
-        // Always only one trash page at level 1, so we don't have to
-        // hardcode the slug
-        apos.pages.findOne({ trash: true, level: 1}, function(err, trashArg) {
-          if (err || (!trashArg)) {
-            return callback('Site has no trashcan, contact administrator');
-          }
-          trash = trashArg;
-          return callback(null);
-        });
-      }
+      async.series([findPage, findTrash, findParent, movePage], respond);
 
       function findPage(callback) {
         // Also checks permissions
@@ -1700,6 +4545,14 @@ function pages(options, callback) {
         });
       }
 
+      function findTrash(callback) {
+        // The trashcan of the site the page belongs to
+        return self.getTrash(self.getSiteOfPage(page) || self.getSite(req), function(err, trashArg) {
+          trash = trashArg;
+          return callback(err && 'Site has no trashcan, contact administrator');
+        });
+      }
+
       function findParent(callback) {
         self.getParent(req, page, function(err, parentArg) {
           if (err || (!parentArg)) {
@@ -1729,10 +4582,12 @@ function pages(options, callback) {
         // jqtree likes .id, not ._id
         _.each(changed, function(info) {
           info.id = info._id;
+          info.siteSlug = self.getSiteSlug(self.getSite(req), info.slug);
         });
         return res.send(JSON.stringify({
           status: 'ok',
           parent: parent.slug,
+          parentSiteSlug: self.getSiteSlug(self.getSiteOfPage(parent), parent.slug),
           changed: changed
         }));
       }
@@ -1740,7 +4595,8 @@ function pages(options, callback) {
 
     app.get('/apos-pages/get-jqtree', function(req, res) {
       var page;
-      apos.getPage(req, '/', function(err, page) {
+      // The home page of this site
+      apos.getPage(req, self.prefixSlug(self.getSite(req), '/'), function(err, page) {
         if (!page) {
           res.statusCode = 404;
           return res.send('No Pages');
@@ -1760,6 +4616,14 @@ function pages(options, callback) {
           var info = {
             label: page.title,
             slug: page.slug,
+            // For visiting the page
+            siteSlug: self.getSiteSlug(self.getSiteOfPage(page), page.slug),
+            level: page.level,
+            // So editors can tell which pages come and go on a schedule
+            publishAt: page.publishAt,
+            unpublishAt: page.unpublishAt,
+            scheduled: !!(page.publishAt || page.unpublishAt),
+            live: self.isWithinSchedule(page),
             // Available both ways for compatibility with jqtree and
             // mongodb expectations
             _id: page._id,
@@ -1805,7 +4669,9 @@ function pages(options, callback) {
             res.statusCode = 404;
             return res.send(404);
           }
-          res.send(page);
+          page.siteSlug = self.getSiteSlug(self.getSiteOfPage(page), page.slug);
+          // Not the passphrase hash or the preview records, see prunePage
+          res.send(self.prunePage(page));
         });
       });
     });
@@ -1847,6 +4713,75 @@ function pages(options, callback) {
       async.series([findPage, permissions, findVersions], ready);
     });
 
+    // Create a preview link for a page, see pages.createPreview
+    app.post('/apos-pages/preview', function(req, res) {
+      var page;
+      var preview;
+
+      function findPage(callback) {
+        return apos.pages.findOne({ _id: apos.sanitizeString(req.body._id) }, function(err, pageArg) {
+          page = pageArg;
+          if ((!err) && (!page)) {
+            err = 'Page not found';
+          }
+          return callback(err);
+        });
+      }
+
+      function permissions(callback) {
+        return apos.permissions(req, 'edit-page', page, callback);
+      }
+
+      function create(callback) {
+        return self.createPreview(req, page, apos.sanitizeBoolean(req.body.subtree), function(err, previewArg) {
+          preview = previewArg;
+          return callback(err);
+        });
+      }
+
+      async.series([findPage, permissions, create], function(err) {
+        if (err) {
+          res.statusCode = 404;
+          return res.send({ status: 'error' });
+        }
+        return res.send({ status: 'ok', preview: previewInfo(page, preview) });
+      });
+    });
+
+    // The unexpired preview links of a page, shown alongside its versions
+    app.get('/apos-pages/previews', function(req, res) {
+      return apos.pages.findOne({ _id: apos.sanitizeString(req.query._id) }, { slug: 1, path: 1, previews: 1 }, function(err, page) {
+        if (err || (!page)) {
+          res.statusCode = 404;
+          return res.send({ status: 'error' });
+        }
+        return apos.permissions(req, 'edit-page', page, function(err) {
+          if (err) {
+            res.statusCode = 404;
+            return res.send({ status: 'error' });
+          }
+          var now = new Date();
+          var previews = _.filter(page.previews || [], function(preview) {
+            return preview.expires > now;
+          });
+          return res.send({ status: 'ok', previews: _.map(previews, function(preview) {
+            return previewInfo(page, preview);
+          }) });
+        });
+      });
+    });
+
+    // The preview's URL relative to the root the pages are served from
+    function previewInfo(page, preview) {
+      return {
+        url: self.getSiteSlug(self.getSiteOfPage(page), page.slug) + '?apos_preview=' + self.getPreviewToken(page, preview),
+        subtree: preview.subtree,
+        expires: preview.expires,
+        createdAt: preview.createdAt,
+        author: preview.author
+      };
+    }
+
     self.revertListeners = [];
     self.addRevertListener = function(listener) {
       self.revertListeners.push(listener);
@@ -1933,6 +4868,7 @@ function pages(options, callback) {
           // jqtree likes .id, not ._id
           _.each(changed, function(info) {
             info.id = info._id;
+            info.siteSlug = self.getSiteSlug(self.getSite(req), info.slug);
           });
           return res.send({status: 'ok', changed: changed });
         }
@@ -1967,6 +4903,22 @@ function pages(options, callback) {
         { lowSearchText: q }
       ];
 
+      // Pages of other sites are not of interest. Things that are not in
+      // any page tree, such as blog posts, still are
+      if (self.sites.length > 1) {
+        var site = self.getSite(req);
+        queries = _.map(queries, function(query) {
+          return { $and: [ query, { $or: [ { path: new RegExp('^' + RegExp.quote(site.path) + '(/|$)') }, { path: { $exists: false } } ] } ] };
+        });
+      }
+
+      // Nor are pages outside their publishAt and unpublishAt window, pages
+      // excluded from search in their settings or passphrase-protected pages,
+      // whose text would give the game away
+      queries = _.map(queries, function(query) {
+        return { $and: [ query, self.getScheduleCriteria(req), { searchExclude: { $ne: true } }, { loginRequired: { $ne: 'passphrase' } } ] };
+      });
+
       // TODO: add some more variants considered even better matches, such as
       // exact word boundaries rather than embedded words. We can afford it,
       // mongo+node's awfully fast even at this crappy scanning stuff
@@ -2049,9 +5001,13 @@ function pages(options, callback) {
           return res.send('Not Found');
         }
         if (page.slug.match(/\//)) {
-          // TODO this is another place we are hardcoding the root, it is
-          // increasingly clear we don't support more than one root right now
-          return res.redirect(page.slug);
+          // Pages of another site are found at that site's hostname
+          var site = self.getSiteOfPage(page);
+          var url = self.getSiteSlug(site, page.slug);
+          if (site && (site !== self.getSite(req)) && site.hostnames.length) {
+            url = req.protocol + '://' + site.hostnames[0] + url;
+          }
+          return res.redirect(url);
         } else {
           // we don't know what to do with this kind of page, but
           // another module might; emit an event
@@ -2078,31 +5034,15 @@ function pages(options, callback) {
     });
 
     apos.on('tasks:register', function(taskGroups) {
+      taskGroups.apostrophe.cleanRedirects = function(apos, argv, callback) {
+        return self.cleanRedirects(callback);
+      };
       taskGroups.apostrophe.repairTree = function(apos, argv, callback) {
-        var root;
-        var pages;
         var req = apos.getTaskReq();
         return async.series({
-          getRoot: function(callback) {
-            return apos.pages.findOne({ slug: '/' }, function(err, page) {
-              if (err) {
-                return callback(err);
-              }
-              if (!page) {
-                return callback('No home page found');
-              }
-              root = page;
-              return callback(null);
-            });
-          },
-          getDescendants: function(callback) {
-            return self.getDescendants(apos.getTaskReq(), root, {}, { permissions: false, orphan: null, trash: null, depth: 100 }, function(err, pagesArg) {
-              pages = pagesArg;
-              return callback(err);
-            });
-          },
-          fixChildren: function(callback) {
-            return fixChildren(root, pages, callback);
+          // Each site has its own tree, see pages.sites
+          fixSites: function(callback) {
+            return async.eachSeries(self.sites, fixSite, callback);
           },
           rescueOrphans: function(callback) {
             return apos.forEachPage({ slug: /^\// }, function(page, callback) {
@@ -2120,19 +5060,53 @@ function pages(options, callback) {
                   // We have a parent, no problem
                   return callback(null);
                 }
-                // We have no parent. Consternation. Move to trash
+                // We have no parent. Consternation. Move to the trash of
+                // the site the page belongs to
                 console.log(page.slug + ' (' + page.title + ') has no parent, moving to trash');
-                return self.move(req, page.slug, '/trash', 'inside', callback);
+                return self.getTrash(self.getSiteOfPage(page) || self.sites[0], function(err, trash) {
+                  if (err) {
+                    return callback(err);
+                  }
+                  return self.move(req, page.slug, trash.slug, 'inside', callback);
+                });
               });
             }, callback);
           }
         }, callback);
+        function fixSite(site, callback) {
+          var root;
+          var pages;
+          return async.series({
+            getRoot: function(callback) {
+              return apos.pages.findOne({ path: site.path }, function(err, page) {
+                if (err) {
+                  return callback(err);
+                }
+                if (!page) {
+                  return callback('No home page found for ' + site.path);
+                }
+                root = page;
+                return callback(null);
+              });
+            },
+            getDescendants: function(callback) {
+              return self.getDescendants(apos.getTaskReq(), root, {}, { permissions: false, orphan: null, trash: null, depth: 100 }, function(err, pagesArg) {
+                pages = pagesArg;
+                return callback(err);
+              });
+            },
+            fixChildren: function(callback) {
+              return fixChildren(root, pages, callback);
+            }
+          }, callback);
+        }
         function fixChildren(parent, pages, callback) {
           var rank = 0;
           return async.eachSeries(pages, function(page, callback) {
-            if (page.slug === '/trash') {
+            var siteSlug = self.getSiteSlug(self.getSiteOfPage(page), page.slug);
+            if (siteSlug === '/trash') {
               page.rank = 1000001;
-            } else if (page.slug === '/search') {
+            } else if (siteSlug === '/search') {
               page.rank = 1000000;
             } else {
               page.rank = rank++;
@@ -2158,11 +5132,104 @@ function pages(options, callback) {
     });
   }
 
-  async.series([ pathIndex ], callback);
+  // The passphrase template's form posts here with the `_id` of the page,
+  // the `passphrase` and a local `returnTo` URL. Right or wrong, the visitor
+  // goes back there; if it was right they now have a grant in their session,
+  // see pages.grantPassphrase
+
+  if (app) {
+    app.post('/apos-pages/passphrase', function(req, res) {
+      // Grants live in the session
+      if (!req.session) {
+        console.error('apostrophe-pages: passphrase-protected pages require session middleware');
+        res.statusCode = 500;
+        return res.send('Error');
+      }
+      if (self.passphraseLocked(req)) {
+        res.statusCode = 429;
+        return res.send('Too many attempts, please try again later');
+      }
+      var returnTo = self.getReturnTo(req) || (options.root || '/');
+      return apos.pages.findOne({ _id: apos.sanitizeString(req.body._id), loginRequired: 'passphrase' }, function(err, page) {
+        if (err || (!page)) {
+          res.statusCode = 404;
+          return res.send('Not Found');
+        }
+        return self.checkPassphrase(page, apos.sanitizeString(req.body.passphrase), function(err, correct) {
+          if (err) {
+            console.error(err);
+            res.statusCode = 500;
+            return res.send('Error');
+          }
+          if (correct) {
+            self.grantPassphrase(req, page);
+          } else {
+            self.notePassphraseFailure(req);
+            req.session.aposPassphraseFailed = page._id;
+          }
+          return res.redirect(returnTo);
+        });
+      });
+    });
+  }
+
+  if (options.sitemap !== false) {
+    if (app) {
+      app.get(/^\/sitemap(\-\d+)?\.xml$/, function(req, res) {
+        var site = self.getSite(req);
+        var name = req.path.substr(1);
+        return self.getCachedSitemapFiles(site, self.getSitemapBaseUrl(req, site), function(err, files) {
+          if (err) {
+            console.error(err);
+            res.statusCode = 500;
+            return res.send('Error');
+          }
+          if (!files[name]) {
+            res.statusCode = 404;
+            return res.send('Not Found');
+          }
+          res.setHeader('Content-Type', 'application/xml');
+          return res.send(files[name]);
+        });
+      });
+    }
+
+    apos.on('tasks:register', function(taskGroups) {
+      // node app apostrophe:sitemap [--site=path] [--base-url=http://example.com] [--dir=public]
+      taskGroups.apostrophe.sitemap = function(apos, argv, callback) {
+        var site = argv.site ? _.findWhere(self.sites, { path: argv.site }) : self.sites[0];
+        if (!site) {
+          return callback('No such site: ' + argv.site);
+        }
+        var baseUrl = argv['base-url'] || sitemapOptions.baseUrl || (site.hostnames.length && ('http://' + site.hostnames[0]));
+        if (!baseUrl) {
+          return callback('Pass --base-url=http://example.com or set the baseUrl of the sitemap option');
+        }
+        var dir = argv.dir || path.join(process.cwd(), 'public');
+        return self.getSitemapFiles(site, baseUrl.replace(/\/$/, ''), function(err, files) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(files, function(xml, name) {
+            fs.writeFileSync(path.join(dir, name), xml);
+          });
+          return callback(null);
+        });
+      };
+    });
+  }
+
+  async.series([ pathIndex, aliasesIndex ], callback);
 
   function pathIndex(callback) {
     // Unique and sparse together mean that many pages can have no path,
     // but any paths that do exist must be unique
     return apos.pages.ensureIndex({ path: 1 }, { safe: true, unique: true, sparse: true }, callback);
   }
+
+  function aliasesIndex(callback) {
+    return apos.pages.ensureIndex({ aliases: 1 }, { safe: true }, callback);
+  }
 }
+
+util.inherits(pages, events.EventEmitter);
@@ -119,6 +119,8 @@ function AposPages() {
               // Simple POST friendly boolean values
               published = published ? '1' : '0';
             }
+            // New pages have no feed until someone asks for one
+            $el.find('[name=feed]').val('0');
 
             apos.enableTags($el.find('[data-name="tags"]'), []);
             refreshType();
@@ -129,6 +131,7 @@ function AposPages() {
             }
 
             // $el.findByName('published').val(apos.data.pages.parent.published)
+            populateSchedule({});
             // Copy parent permissions
             enablePermissions(apos.data.aposPages.page);
             return callback(null);
@@ -159,11 +162,18 @@ function AposPages() {
               published = published ? '1' : '0';
             }
             $el.find('[name=published]').val(published);
+            populateSchedule(apos.data.aposPages.page);
             $el.find('[name=type]').val(apos.data.aposPages.page.type);
             $el.find('[name=title]').val(apos.data.aposPages.page.title);
             var $seoDescription = $el.find('[name=seoDescription]');
             $seoDescription.val(apos.data.aposPages.page.seoDescription || '');
+            $el.find('[name=shareImage]').val(apos.data.aposPages.page.shareImage || '');
+            var priority = apos.data.aposPages.page.sitemapPriority;
+            $el.find('[name=sitemapPriority]').val(((priority === undefined) || (priority === null)) ? '' : priority.toFixed(1));
+            $el.find('[name=sitemapChangefreq]').val(apos.data.aposPages.page.sitemapChangefreq || '');
+            $el.find('[name=feed]').val(apos.data.aposPages.page.feed ? '1' : '0');
             $el.find('[name=slug]').val(slug);
+            $el.find('[name=aliases]').val((apos.data.aposPages.page.aliases || []).join(', '));
             apos.enableTags($el.find('[data-name="tags"]'), apos.data.aposPages.page.tags);
 
             // Persistence for settings made when the page had a different type.
@@ -191,18 +201,30 @@ function AposPages() {
         });
         function save(callback) {
           var newSlug = $el.find('[name=slug]').val();
-          if (newSlug === slug) {
-            // Slug not edited, we're fine
-            return go();
+          var pageId = apos.data.aposPages.page._id;
+          // New aliases must not be in use by another page either
+          var newAliases = _.difference(_.compact($el.find('[name=aliases]').val().split(/[\s,]+/)), apos.data.aposPages.page.aliases || []);
+          var check = _.map(newAliases, function(alias) {
+            return { slug: alias, message: 'The alias ' + alias + ' is already in use by another page.' };
+          });
+          if (newSlug !== slug) {
+            // Slug edited, make sure it's available; random digits frustrate people
+            check.unshift({ slug: newSlug, message: 'That slug is already in use by another page.' });
           }
-          // Slug edited, make sure it's available; random digits frustrate people
-          return $.jsonCall('/apos-pages/slug-available', { slug: newSlug }, function(response) {
-            if (response.status !== 'ok') {
-              alert('That slug is already in use by another page.');
-              return callback('error');
+          return checkNext();
+          function checkNext() {
+            var next = check.shift();
+            if (!next) {
+              return go();
             }
-            return go();
-          });
+            return $.jsonCall('/apos-pages/slug-available', { slug: next.slug, pageId: pageId }, function(response) {
+              if (response.status !== 'ok') {
+                alert(next.message);
+                return callback('error');
+              }
+              return checkNext();
+            });
+          }
           function go() {
             return addOrEdit('edit', { slug: slug }, callback);
           }
@@ -285,6 +307,47 @@ function AposPages() {
         }
       }
 
+      // Fill in the publishAt and unpublishAt date and time fields. The
+      // dates arrive as JSON strings
+      function populateSchedule(page) {
+        _.each([ 'publishAt', 'unpublishAt' ], function(name) {
+          var $date = $el.findByName(name + 'Date');
+          var $time = $el.findByName(name + 'Time');
+          if (page[name]) {
+            var when = new Date(page[name]);
+            $date.val(when.getFullYear() + '-' + pad(when.getMonth() + 1) + '-' + pad(when.getDate()));
+            $time.val(pad(when.getHours()) + ':' + pad(when.getMinutes()));
+          }
+          apos.enhanceDate($date);
+        });
+        function pad(n) {
+          return (n < 10) ? ('0' + n) : n;
+        }
+      }
+
+      // The publishAt or unpublishAt date and time fields as an ISO
+      // timestamp, or an empty string if there is no date. The time may be
+      // 24-hour or have am or pm after it, and defaults to midnight
+      function getScheduleTimestamp(name) {
+        var date = $.trim($el.findByName(name + 'Date').val()).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!date) {
+          return '';
+        }
+        var time = $.trim($el.findByName(name + 'Time').val()).match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(am|pm)?$/i);
+        var hours = 0;
+        var minutes = 0;
+        if (time) {
+          hours = parseInt(time[1], 10);
+          minutes = time[2] ? parseInt(time[2], 10) : 0;
+          if (time[3] && (time[3].toLowerCase() === 'pm') && (hours < 12)) {
+            hours += 12;
+          } else if (time[3] && (time[3].toLowerCase() === 'am') && (hours === 12)) {
+            hours = 0;
+          }
+        }
+        return new Date(parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10), hours, minutes).toISOString();
+      }
+
       function addOrEdit(action, options, callback) {
         var typeName = $el.find('[name=type]').val();
         var type = aposPages.getType(typeName);
@@ -293,15 +356,39 @@ function AposPages() {
           title: $el.find('[name=title]').val(),
           slug: $el.find('[name=slug]').val(),
           seoDescription: $el.find('[name=seoDescription]').val(),
+          shareImage: $el.find('[name=shareImage]').val(),
+          sitemapPriority: $el.find('[name=sitemapPriority]').val(),
+          sitemapChangefreq: $el.find('[name=sitemapChangefreq]').val(),
+          feed: $el.find('[name=feed]').val(),
           type: $el.find('[name=type]').val(),
           published: $el.find('[name=published]').val(),
           tags: $el.find('[data-name="tags"]').selective('get'),
           otherTypeSettings: otherTypeSettings
         };
 
+        // Publication schedule. The fields are in the browser's timezone,
+        // which the server doesn't know, so send ISO timestamps
+        _.each([ 'publishAt', 'unpublishAt' ], function(name) {
+          data[name] = getScheduleTimestamp(name);
+        });
+
+        // Only the edit dialog has aliases
+        if ($el.findByName('aliases').length) {
+          data.aliases = $el.findByName('aliases').val();
+        }
+
         // Permissions are fancy! But the server does most of the hard work
         data.loginRequired = $el.findByName('loginRequired').val();
         data.loginRequiredPropagate = $el.findByName('loginRequiredPropagate').is(':checked') ? '1' : '0';
+        data.passphrase = $el.findByName('passphrase').val();
+        // A blank passphrase keeps the current one, so there has to be one
+        if ((data.loginRequired === 'passphrase') && (!data.passphrase) && (apos.data.aposPages.page.loginRequired !== 'passphrase')) {
+          alert('Please enter a passphrase.');
+          return callback('error');
+        }
+        _.each([ 'noindex', 'nofollow', 'searchExclude' ], function(name) {
+          data[name] = $el.findByName(name).val();
+        });
         // "certain people" (specific users/groups)
         data.viewGroupIds = $el.find('[data-name="viewGroupIds"]').selective('get');
         data.viewPersonIds = $el.find('[data-name="viewPersonIds"]').selective('get');
@@ -321,7 +408,7 @@ function AposPages() {
             type: 'POST',
             dataType: 'json',
             success: function(data) {
-              window.location.href = aposPages.options.root + data.slug;
+              window.location.href = aposPages.options.root + data.siteSlug;
             },
             error: function() {
               alert('Server error');
@@ -355,8 +442,19 @@ function AposPages() {
           } else {
             $certainPeople.hide();
           }
+          var $passphrase = $el.find('.apos-view-passphrase');
+          if ($(this).val() == 'passphrase') {
+            $passphrase.show();
+          } else {
+            $passphrase.hide();
+          }
         }).trigger('change');
 
+        // Robots settings travel with the view permissions
+        _.each([ 'noindex', 'nofollow', 'searchExclude' ], function(name) {
+          $el.findByName(name).val(page[name] ? '1' : '0');
+        });
+
         $el.find('[data-show-edit-permissions]').click(function() {
           $(this).closest('.apos-page-settings-toggle').toggleClass('apos-active');
           $el.find('.apos-edit-permissions').toggle();
@@ -409,7 +507,7 @@ function AposPages() {
             dragAndDrop: true,
             onCanMoveTo: function(moved_node, target_node, position) {
               // Cannot create peers of root
-              if ((target_node.slug === '/') && (position !== 'inside')) {
+              if ((target_node.level === 0) && (position !== 'inside')) {
                 return false;
               }
               return true;
@@ -417,10 +515,28 @@ function AposPages() {
             onCreateLi: function(node, $li) {
               // Identify the root trashcan and add a class to its li so that we
               // can hide inappropriate controls within the trash
-              // TODO: do we want to make this slug a constant forever?
-              if (node.slug == '/trash') {
+              if (node.trash && (node.level === 1)) {
                 $li.addClass('apos-trash');
               }
+              // Pages with a publishAt or unpublishAt date, and whether
+              // they can be seen by the public right now
+              if (node.scheduled) {
+                $li.addClass('apos-scheduled');
+                if (!node.live) {
+                  $li.addClass('apos-scheduled-hidden');
+                }
+                var schedule = [];
+                if (node.publishAt) {
+                  schedule.push('Publishes ' + new Date(node.publishAt).toLocaleString());
+                }
+                if (node.unpublishAt) {
+                  schedule.push('Unpublishes ' + new Date(node.unpublishAt).toLocaleString());
+                }
+                var $schedule = $('<span class="apos-schedule"></span>');
+                $schedule.text('scheduled');
+                $schedule.attr('title', schedule.join(', '));
+                $li.find('.jqtree-element:first').append($schedule);
+              }
               // Append a link to the jqtree-element div.
               // The link has a url '#node-[id]' and a data property 'node-id'.
               var link = $('<a class="apos-visit"></a>');
@@ -443,9 +559,7 @@ function AposPages() {
             apos.log(nodeId);
             var node = $tree.tree('getNodeById', nodeId);
             apos.log(node);
-            // TODO: this is an assumption about where the root of the page tree
-            // is being served
-            window.location.href = node.slug;
+            window.location.href = aposPages.options.root + node.siteSlug;
             return false;
           });
 
@@ -477,6 +591,7 @@ function AposPages() {
                     var node = $tree.tree('getNodeById', info.id);
                     if (node) {
                       node.slug = info.slug;
+                      node.siteSlug = info.siteSlug;
                     }
                   });
                 } else {
@@ -508,6 +623,7 @@ function AposPages() {
                   var node = $tree.tree('getNodeById', info.id);
                   if (node) {
                     node.slug = info.slug;
+                    node.siteSlug = info.siteSlug;
                   }
                 });
                 e.move_info.do_move();
@@ -529,7 +645,7 @@ function AposPages() {
           var page = apos.data.aposPages.page;
           var _id = page._id;
           $.get('/apos-pages/info', { _id: _id }, function(data) {
-            var newPathname = (apos.data.aposPages.root + data.slug).replace(/^\/\//, '/');
+            var newPathname = (apos.data.aposPages.root + data.siteSlug).replace(/^\/\//, '/');
             if (window.location.pathname === newPathname) {
               apos.change('tree');
               return callback();
@@ -569,7 +685,7 @@ function AposPages() {
           success: function(data) {
             if(data.status === 'ok') {
               alert('Moved to the trash. Select "Reorganize" from the "Page" menu to drag it back out.');
-              window.location.href = aposPages.options.root + data.parent;
+              window.location.href = aposPages.options.root + data.parentSiteSlug;
             } else {
               alert(data.status);
             }
@@ -584,17 +700,32 @@ function AposPages() {
 
     $('body').on('click', '[data-versions-page]', function() {
       var pageId = apos.data.aposPages.page._id;
-      aposPages.browseVersions(pageId);
+      aposPages.browseVersions(pageId, { previews: true });
+    });
+
+    // Preview links are listed with the versions
+    $('body').on('click', '[data-share-preview]', function() {
+      var pageId = apos.data.aposPages.page._id;
+      aposPages.browseVersions(pageId, { previews: true });
     });
   };
 
   // This method can also be invoked by snippets and anything else that
-  // is represented by a page.
-  self.browseVersions = function(pageId) {
+  // is represented by a page. Set options.previews to also offer preview
+  // links, which only work for pages in the tree.
+  self.browseVersions = function(pageId, options) {
+    options = options || {};
     var $el = apos.modalFromTemplate('.apos-versions-page', {
       init: function(callback) {
         $versions = $el.find('[data-versions]');
 
+        var $previews = $el.find('[data-previews]');
+        if (options.previews) {
+          enablePreviews($previews);
+        } else {
+          $previews.remove();
+        }
+
         $versions.on('click', '[data-version-id]', function() {
           var id = $(this).data('versionId');
           $.post('/apos-pages/revert',
@@ -621,6 +752,42 @@ function AposPages() {
         return callback();
       }
     });
+
+    function enablePreviews($previews) {
+      var $links = $previews.find('[data-preview-links]');
+      var $template = $links.find('[data-preview-link].apos-template');
+      $template.detach();
+
+      $previews.on('click', '[data-create-preview]', function() {
+        $.post('/apos-pages/preview',
+          { _id: pageId, subtree: $previews.findByName('previewSubtree').is(':checked') ? '1' : '0' },
+          function(data) {
+            addLink(data.preview);
+          },
+          'json'
+        ).error(function() {
+          alert('Server error');
+        });
+        return false;
+      });
+
+      $previews.on('click', '[data-preview-url]', function() {
+        $(this).select();
+      });
+
+      $.getJSON('/apos-pages/previews', { _id: pageId }, function(data) {
+        _.each(data.previews, addLink);
+      });
+
+      function addLink(preview) {
+        var $link = $template.clone();
+        $link.removeClass('apos-template');
+        var root = window.location.protocol + '//' + window.location.host + aposPages.options.root;
+        $link.find('[data-preview-url]').val(root + preview.url);
+        $link.find('[data-preview-details]').text((preview.subtree ? 'With subpages, expires ' : 'Expires ') + new Date(preview.expires).toLocaleString());
+        $links.append($link);
+      }
+    }
   };
 }
 
@@ -19,6 +19,74 @@ var contact;
 
 var req = apos.getTaskReq();
 
+// Enough of an Express request and response to drive pages.serve and the
+// routes. callback receives the response and the request once a response
+// is sent. Requests are XMLHttpRequests unless options.xhr is false, so
+// that no outer layout is needed
+
+function request(handler, url, options, callback) {
+  var headers = { host: 'localhost' };
+  _.each(options.headers || {}, function(value, name) {
+    headers[name.toLowerCase()] = value;
+  });
+  var path = url.replace(/\?.*$/, '');
+  var get = function(name) {
+    return headers[name.toLowerCase()];
+  };
+  var req = {
+    url: url,
+    originalUrl: url,
+    path: path,
+    method: options.method || 'GET',
+    params: [ path ],
+    query: require('querystring').parse(url.substr(path.length + 1)),
+    body: options.body || {},
+    user: options.user,
+    session: options.session || {},
+    xhr: options.xhr !== false,
+    protocol: 'http',
+    headers: headers,
+    get: get,
+    header: get,
+    // Just enough content negotiation for pages.serve
+    accepts: function(types) {
+      var accept = headers.accept || '*/*';
+      return _.find(types, function(type) {
+        return (accept.indexOf(type) !== -1) || (accept.indexOf('*/*') !== -1);
+      });
+    },
+    pushData: function() {}
+  };
+  var res = {
+    statusCode: 200,
+    headers: {},
+    setHeader: function(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    getHeader: function(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    send: function(body) {
+      res.body = body;
+      return callback(res, req);
+    },
+    end: function(body) {
+      res.body = body || '';
+      return callback(res, req);
+    },
+    redirect: function(status, url) {
+      if (url === undefined) {
+        url = status;
+        status = 302;
+      }
+      res.statusCode = status;
+      res.location = url;
+      return callback(res, req);
+    }
+  };
+  return handler(req, res);
+}
+
 // TODO: test 'before' position for move(), test conflicting paths and slugs
 
 describe('apostrophe-pages', function() {
@@ -648,5 +716,1452 @@ describe('apostrophe-pages', function() {
       };
       return pages._editRoute(req, res);
     });  });
+  describe('template resolution', function() {
+    it('superclass folders and templates come before templatePath', function() {
+      pages.addType({ name: 'blog', label: 'Blog' });
+      pages.addType({ name: 'pressRelease', label: 'Press Release', superclass: 'blog' });
+      var paths = pages.getTemplatePaths('pressRelease', 'pressRelease', {
+        templatePath: '/views/pages',
+        templatePaths: { pressRelease: '/views/press', blog: '/views/blog' }
+      });
+      assert(paths[0] === '/views/press/pressRelease');
+      assert(paths[1] === '/views/press/blog');
+      assert(paths[2] === '/views/blog/pressRelease');
+      assert(paths[3] === '/views/blog/blog');
+      assert(paths[4] === '/views/pages/pressRelease');
+    });
+    it('other templates are not replaced by the superclass template', function() {
+      var paths = pages.getTemplatePaths('notfound', 'pressRelease', { templatePath: '/views/pages' });
+      assert(paths.length === 2);
+      assert(paths[0] === '/views/pages/notfound');
+    });
+  });
+  describe('passphrase-protected pages', function() {
+    var session = {};
+    var board;
+    it('inserted a passphrase-protected page', function(done) {
+      pages.addType({ name: 'boardDocs', label: 'Board Documents', template: function(args) {
+        return 'Board: ' + args.page.title;
+      } });
+      return pages.hashPassphrase('minutes', null, function(err, passphrase) {
+        assert(!err);
+        board = { _id: 'board', path: 'home/board', title: 'Board', sortTitle: 'board', level: 1, rank: 10, slug: '/board', type: 'boardDocs', published: true, loginRequired: 'passphrase', passphrase: passphrase, areas: {} };
+        return apos.pages.insert(board, function(err) {
+          assert(!err);
+          return done();
+        });
+      });
+    });
+    it('anonymous visitors get the passphrase form', function(done) {
+      return request(pages.serve({}), '/board', { session: session }, function(res, req) {
+        assert(res.statusCode === 401);
+        assert(req.template === 'passphrase');
+        assert(req.passphrase._id === 'board');
+        assert(!req.passphrase.failed);
+        return done();
+      });
+    });
+    it('rejects the wrong passphrase', function(done) {
+      return pages.checkPassphrase(board, 'agenda', function(err, correct) {
+        assert(!err);
+        assert(!correct);
+        return done();
+      });
+    });
+    it('anonymous visitors see the page once they have a grant', function(done) {
+      return pages.checkPassphrase(board, 'minutes', function(err, correct) {
+        assert(!err);
+        assert(correct);
+        pages.grantPassphrase({ session: session }, board);
+        return request(pages.serve({}), '/board', { session: session }, function(res) {
+          assert(res.statusCode === 200);
+          assert(res.body === 'Board: Board');
+          assert(res.headers['cache-control'] === 'private, no-store');
+          return done();
+        });
+      });
+    });
+  });
+  describe('redirect rules', function() {
+    function match(url, callback) {
+      return pages.matchRedirect({ slug: url.replace(/\?.*$/, ''), url: url, protocol: 'http' }, '', callback);
+    }
+    it('added rules', function() {
+      pages.addRedirect({ from: '/old-contact', to: '/contact' });
+      pages.addRedirect({ from: '/old-section', match: 'prefix', to: '/', query: true });
+      pages.addRedirect({ from: /^\/news\/(\d+)(.*)$/, match: 'regex', to: '/archive/$1$2', status: 302 });
+      pages.addRedirect({ from: '/withdrawn', status: 410 });
+      pages.addRedirect({ from: /^\/go(\/.*)$/, match: 'regex', to: '$1' });
+    });
+    it('matches exact rules', function(done) {
+      return match('/old-contact', function(err, result) {
+        assert(!err);
+        assert(result.status === 301);
+        assert(result.url === '/contact');
+        return match('/old-contact/more', function(err, result) {
+          assert(!err);
+          assert(result === null);
+          return done();
+        });
+      });
+    });
+    it('matches prefix rules and carries the query string over', function(done) {
+      return match('/old-section/reports?year=2013', function(err, result) {
+        assert(!err);
+        assert(result.url === '/reports?year=2013');
+        return done();
+      });
+    });
+    it('matches regex rules', function(done) {
+      return match('/news/2013/budget', function(err, result) {
+        assert(!err);
+        assert(result.status === 302);
+        assert(result.url === '/archive/2013/budget');
+        return done();
+      });
+    });
+    it('reports pages that are gone', function(done) {
+      return match('/withdrawn', function(err, result) {
+        assert(!err);
+        assert(result.status === 410);
+        assert(!result.url);
+        return done();
+      });
+    });
+    it('never redirects to another host', function(done) {
+      return match('/old-section//evil.com', function(err, result) {
+        assert(!err);
+        assert(result.url === '/evil.com');
+        return match('/go//evil.com', function(err, result) {
+          assert(!err);
+          assert(result.url === '/evil.com');
+          return match('/old-section/\\evil.com', function(err, result) {
+            assert(!err);
+            assert(result.url === '/evil.com');
+            return done();
+          });
+        });
+      });
+    });
+  });
+  describe('URL normalization', function() {
+    it('lowercases and strips or adds trailing slashes', function() {
+      assert(pages.normalizeSlug('/About/People/', { lowercase: true, trailingSlash: 'strip' }) === '/about/people');
+      assert(pages.normalizeSlug('/about', { trailingSlash: 'add' }) === '/about/');
+      assert(pages.normalizeSlug('/news/feed.xml', { trailingSlash: 'add' }) === '/news/feed.xml');
+      assert(pages.normalizeSlug('/', { trailingSlash: 'strip' }) === '/');
+      assert(pages.normalizeSlug('/about//people', { doubleSlashes: true }) === '/about/people');
+      assert(pages.normalizeSlug('/about//people', {}) === '/about//people');
+    });
+    it('never produces a protocol-relative URL', function() {
+      assert(pages.normalizeSlug('//evil.com/', { trailingSlash: 'strip' }) === '/evil.com');
+      assert(pages.normalizeSlug('//Evil.com', { lowercase: true }) === '/evil.com');
+      assert(pages.normalizeSlug('//evil/', { trailingSlash: 'add' }) === '/evil/');
+    });
+    it('redirects to the normalized URL', function(done) {
+      return request(pages.serve({ root: '', normalize: { lowercase: true } }), '//Evil.com?a=1', {}, function(res) {
+        assert(res.statusCode === 301);
+        assert(res.location === '/evil.com?a=1');
+        return done();
+      });
+    });
+  });
+  describe('scheduled publishing', function() {
+    it('stores the timestamps sent by the browser as they are', function(done) {
+      var req = {
+        user: {
+          permissions: {
+            admin: true
+          }
+        },
+        body: {
+          parent: '/',
+          title: 'Coming Soon',
+          published: true,
+          type: 'default',
+          publishAt: '2030-01-01T14:00:00.000Z',
+          unpublishAt: ''
+        }
+      };
+      var res = {
+        send: function(data) {
+          assert((!res.statusCode) || (res.statusCode === 200));
+          var page = JSON.parse(data);
+          assert(page.slug === '/coming-soon');
+          return apos.pages.findOne({ slug: '/coming-soon' }, function(err, page) {
+            assert(!err);
+            assert(page.publishAt.getTime() === Date.parse('2030-01-01T14:00:00.000Z'));
+            assert(page.unpublishAt === null);
+            assert(!pages.isWithinSchedule(page));
+            return done();
+          });
+        }
+      };
+      return pages._newRoute(req, res);
+    });
+    it('is not found before publishAt', function(done) {
+      return request(pages.serve({}), '/coming-soon', {}, function(res) {
+        assert(res.statusCode === 404);
+        return done();
+      });
+    });
+  });
+  describe('error handling', function() {
+    it('maps errors to statuses', function() {
+      assert(pages.getErrorStatus('notfound') === 404);
+      assert(pages.getErrorStatus({ forbidden: true }) === 403);
+      assert(pages.getErrorStatus({ status: 418 }) === 418);
+      assert(pages.getErrorStatus({ cause: { notfound: true } }) === 404);
+      assert(pages.getErrorStatus({ code: 'ECONNREFUSED' }) === 503);
+      assert(pages.getErrorStatus(new Error('oops')) === 500);
+    });
+    it('sends a 500 when a custom handler chooses no status', function(done) {
+      var serve = pages.serve({
+        load: [ function(req, callback) {
+          return callback(new Error('oops'));
+        } ],
+        errorHandler: function(err, req, res) {
+          req.template = function() {
+            return 'Sorry';
+          };
+        }
+      });
+      return request(serve, '/', {}, function(res) {
+        assert(res.statusCode === 500);
+        assert(res.body === 'Sorry');
+        return done();
+      });
+    });
+    it('sends a 500 when a template throws', function(done) {
+      pages.addType({ name: 'broken', label: 'Broken', template: function() {
+        throw new Error('broken template');
+      } });
+      return apos.pages.insert({ _id: 'broken', path: 'home/broken', title: 'Broken', sortTitle: 'broken', level: 1, rank: 11, slug: '/broken', type: 'broken', published: true, areas: {} }, function(err) {
+        assert(!err);
+        var serve = pages.serve({
+          errorHandler: function(err, req, res) {
+            req.template = function() {
+              return 'Sorry';
+            };
+          }
+        });
+        return request(serve, '/broken', {}, function(res) {
+          assert(res.statusCode === 500);
+          assert(res.body === 'Sorry');
+          return done();
+        });
+      });
+    });
+  });
+  describe('conditional requests and Cache-Control', function() {
+    var serve;
+    var etag;
+    it('inserted a plain page', function(done) {
+      pages.addType({ name: 'plain', label: 'Plain', template: function(args) {
+        return 'Plain: ' + args.page.title;
+      } });
+      serve = pages.serve({
+        conditional: true,
+        cacheControl: { anon: 'public, max-age=60', user: 'private, max-age=0' },
+        loginUrl: '/login'
+      });
+      return apos.pages.insert({ _id: 'plain', path: 'home/plain', title: 'Plain', sortTitle: 'plain', level: 1, rank: 12, slug: '/plain', type: 'plain', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('sends validators and the anon policy with a page', function(done) {
+      return request(serve, '/plain', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Plain: Plain');
+        etag = res.headers.etag;
+        assert(etag);
+        assert(res.headers['cache-control'] === 'public, max-age=60');
+        assert(res.headers.vary === 'Accept, Cookie');
+        return done();
+      });
+    });
+    it('sends a 304 when the client has the page', function(done) {
+      return request(serve, '/plain', { headers: { 'If-None-Match': etag } }, function(res) {
+        assert(res.statusCode === 304);
+        assert(res.headers['cache-control'] === 'public, max-age=60');
+        return done();
+      });
+    });
+    it('sends no policy with a 404', function(done) {
+      return request(serve, '/no-such-page', {}, function(res) {
+        assert(res.statusCode === 404);
+        assert(!res.headers['cache-control']);
+        assert(res.headers.vary === 'Accept, Cookie');
+        return done();
+      });
+    });
+  });
+  describe('headless access', function() {
+    it('sends JSON to clients that ask for it', function(done) {
+      return request(pages.serve({}), '/plain', { headers: { Accept: 'application/json' } }, function(res) {
+        assert(res.statusCode === 200);
+        var data = JSON.parse(res.body);
+        assert(data.status === 'ok');
+        assert(data.page.slug === '/plain');
+        assert(!data.page.areas);
+        assert(res.headers.vary === 'Accept');
+        return done();
+      });
+    });
+    it('sends HTML to browsers, also varying on Accept', function(done) {
+      return request(pages.serve({}), '/plain', { headers: { Accept: 'text/html' } }, function(res) {
+        assert(res.body === 'Plain: Plain');
+        assert(res.headers.vary === 'Accept');
+        return done();
+      });
+    });
+    it('sends JSON for format=json without varying', function(done) {
+      return request(pages.serve({}), '/no-such-page?format=json', {}, function(res) {
+        assert(res.statusCode === 404);
+        assert(JSON.parse(res.body).status === 'notfound');
+        assert(!res.headers.vary);
+        return done();
+      });
+    });
+  });
+  describe('robots settings', function() {
+    var outerLayout;
+    var serve;
+    it('inserted a subpage', function(done) {
+      outerLayout = pages.options.outerLayout;
+      pages.options.outerLayout = function(args) {
+        return args.head.html() + args.content;
+      };
+      serve = pages.serve({ cache: true });
+      return apos.pages.insert({ _id: 'plainChild', path: 'home/plain/child', title: 'Plain Child', sortTitle: 'plain child', level: 2, rank: 0, slug: '/plain/child', type: 'plain', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('the subpage is cached without a robots meta tag', function(done) {
+      return request(serve, '/plain/child', { xhr: false }, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body.indexOf('noindex') === -1);
+        return done();
+      });
+    });
+    it('propagates noindex to subpages and drops their cached copies', function(done) {
+      return apos.pages.findOne({ _id: 'plain' }, function(err, plain) {
+        assert(!err);
+        return pages.applyRobots(apos.getTaskReq(), { noindex: '1', loginRequiredPropagate: '1' }, plain, function(err) {
+          assert(!err);
+          return request(serve, '/plain/child', { xhr: false }, function(res) {
+            pages.options.outerLayout = outerLayout;
+            assert(res.body.indexOf('<meta name="robots" content="noindex"') !== -1);
+            return done();
+          });
+        });
+      });
+    });
+  });
+  describe('feeds', function() {
+    it('inserted a page with a feed and an old subpage', function(done) {
+      return apos.pages.insert([
+        { _id: 'news', path: 'home/news', title: 'News', sortTitle: 'news', level: 1, rank: 13, slug: '/news', type: 'plain', published: true, feed: true, areas: {} },
+        { _id: 'oldStory', path: 'home/news/old-story', title: 'Old Story', sortTitle: 'old story', level: 2, rank: 0, slug: '/news/old-story', type: 'plain', published: true, areas: {}, updatedAt: new Date('2013-06-01T12:00:00Z') }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('new pages get a createdAt date', function(done) {
+      var req = {
+        user: {
+          permissions: {
+            admin: true
+          }
+        },
+        body: {
+          parent: '/news',
+          title: 'New Story',
+          published: true,
+          type: 'plain'
+        }
+      };
+      var res = {
+        send: function(data) {
+          var page = JSON.parse(data);
+          assert(page.slug === '/news/new-story');
+          assert(page.createdAt);
+          return done();
+        }
+      };
+      return pages._newRoute(req, res);
+    });
+    it('lists the subpages newest first with their dates', function(done) {
+      return request(pages.serve({}), '/news/feed.xml', {}, function(res) {
+        assert(res.statusCode === 200);
+        var items = res.body.split('<item>').slice(1);
+        assert(items.length === 2);
+        assert(items[0].indexOf('<title>New Story</title>') !== -1);
+        assert(items[0].indexOf('<pubDate>') !== -1);
+        assert(items[1].indexOf('<title>Old Story</title>') !== -1);
+        assert(items[1].indexOf('<pubDate>Sat, 01 Jun 2013 12:00:00 GMT</pubDate>') !== -1);
+        return done();
+      });
+    });
+  });
+  describe('page head', function() {
+    it('keeps a title, body class and description passed in args', function() {
+      var args = { content: '<p>Hi</p>', title: 'Legacy Title', bodyClass: 'legacy', seoDescription: 'Legacy description' };
+      pages.decoratePageContent(args);
+      assert(args.head.title === 'Legacy Title');
+      assert(args.title === 'Legacy Title');
+      assert(args.bodyClass === 'legacy');
+      assert(args.seoDescription === 'Legacy description');
+    });
+    it('lets markers in the content override them', function() {
+      var args = { content: '<!-- APOS-TITLE Marker Title --><!-- APOS-BODY-CLASS marker --><!-- APOS-SEO-DESCRIPTION Marker description -->', title: 'Legacy Title', bodyClass: 'legacy', seoDescription: 'Legacy description' };
+      pages.decoratePageContent(args);
+      assert(args.title === 'Marker Title');
+      assert(args.bodyClass === 'legacy marker');
+      assert(args.seoDescription === 'Marker description');
+    });
+  });
+  describe('preview links', function() {
+    var page = { _id: 'previewed' };
+    var later = new Date(new Date().getTime() + 60000);
+    it('verifies its own tokens', function() {
+      var preview = pages.verifyPreview(pages.getPreviewToken(page, { subtree: true, expires: later }));
+      assert(preview.pageId === 'previewed');
+      assert(preview.subtree === true);
+    });
+    it('rejects tampered tokens', function() {
+      var token = pages.getPreviewToken(page, { subtree: false, expires: later });
+      var parts = token.split('.');
+      var data = new Buffer(JSON.stringify({ id: 'other', subtree: false, expires: later.getTime() })).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      assert(pages.verifyPreview(data + '.' + parts[1]) === undefined);
+      assert(pages.verifyPreview(parts[0] + '.' + parts[1].replace(/^./, parts[1].charAt(0) === '0' ? '1' : '0')) === undefined);
+      assert(pages.verifyPreview(parts[0]) === undefined);
+      assert(pages.verifyPreview({ token: token }) === undefined);
+    });
+    it('rejects expired tokens', function() {
+      var token = pages.getPreviewToken(page, { subtree: false, expires: new Date(new Date().getTime() - 1000) });
+      assert(pages.verifyPreview(token) === undefined);
+    });
+    it('keeps valid tokens in the session and drops the rest', function() {
+      var token = pages.getPreviewToken(page, { subtree: false, expires: later });
+      var req = { query: { apos_preview: token }, session: { aposPreviews: [ 'bogus.token' ] } };
+      var previews = pages.getPreviews(req);
+      assert(previews.length === 1);
+      assert(previews[0].pageId === 'previewed');
+      assert(req.session.aposPreviews.length === 1);
+      assert(req.session.aposPreviews[0] === token);
+    });
+  });
+  describe('per-request memoization', function() {
+    it('fetches a page once per request when loaders call apos.getPage', function(done) {
+      var superGet = apos.get;
+      var queries = 0;
+      var titles = [];
+      var serve = pages.serve({
+        load: [ function(req, callback) {
+          apos.get = function() {
+            queries++;
+            return superGet.apply(apos, arguments);
+          };
+          return apos.getPage(req, '/contact', function(err, page) {
+            assert(!err);
+            titles.push(page.title);
+            page.title = 'Changed';
+            return apos.getPage(req, '/contact', function(err, page) {
+              assert(!err);
+              titles.push(page.title);
+              return apos.getPage(req, '/contact', { memoize: false }, function(err, page) {
+                apos.get = superGet;
+                assert(!err);
+                return callback(null);
+              });
+            });
+          });
+        } ]
+      });
+      return request(serve, '/', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(queries === 2);
+        assert(titles[0] === 'Contact');
+        assert(titles[1] === 'Contact');
+        return done();
+      });
+    });
+  });
+  describe('sitemaps', function() {
+    var site;
+    it('lists published pages', function(done) {
+      site = pages.sites[0];
+      return pages.getSitemapFiles(site, 'http://example.com', function(err, files) {
+        assert(!err);
+        assert(files['sitemap.xml'].indexOf('<loc>http://example.com/contact</loc>') !== -1);
+        return done();
+      });
+    });
+    it('builds them once for requests close together', function(done) {
+      var superGetSitemap = pages.getSitemap;
+      var builds = 0;
+      var waiting = 2;
+      pages.getSitemap = function(site, callback) {
+        builds++;
+        return superGetSitemap(site, callback);
+      };
+      // Two at once share the same build, a third soon after uses the cache
+      pages.getCachedSitemapFiles(site, 'http://example.com', next);
+      pages.getCachedSitemapFiles(site, 'http://example.com', next);
+      function next(err, files) {
+        assert(!err);
+        assert(files['sitemap.xml']);
+        if (--waiting) {
+          return;
+        }
+        return pages.getCachedSitemapFiles(site, 'http://example.com', function(err, files) {
+          assert(!err);
+          assert(builds === 1);
+          pages.clearCache();
+          return pages.getCachedSitemapFiles(site, 'http://example.com', function(err, files) {
+            pages.getSitemap = superGetSitemap;
+            assert(!err);
+            assert(builds === 2);
+            assert(files['sitemap.xml'].indexOf('<loc>http://example.com/contact</loc>') !== -1);
+            return done();
+          });
+        });
+      }
+    });
+  });
+  describe('anonymous page cache', function() {
+    var outerLayout;
+    var serve;
+    var renders = {};
+    // Fetch each URL as an anonymous visitor, in order
+    function fetch(urls, options, callback) {
+      if (!urls.length) {
+        return callback();
+      }
+      return request(serve, urls[0], _.extend({ xhr: false }, options), function(res) {
+        assert(res.statusCode === 200);
+        return fetch(urls.slice(1), options, callback);
+      });
+    }
+    it('inserted a section with two subpages', function(done) {
+      pages.addType({ name: 'counted', label: 'Counted', template: function(args) {
+        renders[args.page.slug] = (renders[args.page.slug] || 0) + 1;
+        return args.page.title;
+      } });
+      outerLayout = pages.options.outerLayout;
+      pages.options.outerLayout = function(args) {
+        return args.content;
+      };
+      serve = pages.serve({ cache: true });
+      return apos.pages.insert([
+        { _id: 'counted', path: 'home/counted', title: 'Counted', sortTitle: 'counted', level: 1, rank: 20, slug: '/counted', type: 'counted', published: true, areas: {} },
+        { _id: 'countedA', path: 'home/counted/a', title: 'A', sortTitle: 'a', level: 2, rank: 0, slug: '/counted/a', type: 'counted', published: true, areas: {} },
+        { _id: 'countedB', path: 'home/counted/b', title: 'B', sortTitle: 'b', level: 2, rank: 1, slug: '/counted/b', type: 'counted', published: true, areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('renders each page once for anonymous visitors', function(done) {
+      return fetch([ '/counted', '/counted/a', '/counted/b', '/counted/a', '/counted/b' ], {}, function() {
+        assert(renders['/counted'] === 1);
+        assert(renders['/counted/a'] === 1);
+        assert(renders['/counted/b'] === 1);
+        return done();
+      });
+    });
+    it('does not cache for logged in users', function(done) {
+      return fetch([ '/counted/a' ], { user: { _id: 'someone', permissions: {} } }, function() {
+        assert(renders['/counted/a'] === 2);
+        return done();
+      });
+    });
+    it('drops only the page itself when its content changes', function(done) {
+      pages.invalidateCache({ _id: 'countedA', slug: '/counted/a', path: 'home/counted/a', level: 2 }, false);
+      return fetch([ '/counted', '/counted/a', '/counted/b' ], {}, function() {
+        assert(renders['/counted'] === 1);
+        assert(renders['/counted/a'] === 3);
+        assert(renders['/counted/b'] === 1);
+        return done();
+      });
+    });
+    it('drops ancestors and peers too when its navigation changes', function(done) {
+      pages.invalidateCache({ _id: 'countedA', slug: '/counted/a', path: 'home/counted/a', level: 2 }, true);
+      return fetch([ '/counted', '/counted/a', '/counted/b', '/contact' ], {}, function() {
+        assert(renders['/counted'] === 2);
+        assert(renders['/counted/a'] === 4);
+        assert(renders['/counted/b'] === 2);
+        return done();
+      });
+    });
+    it('drops the cached copy when the page is saved', function(done) {
+      return apos.pages.findOne({ _id: 'countedB' }, function(err, page) {
+        assert(!err);
+        page.title = 'Bee';
+        return apos.putPage(apos.getTaskReq(), page.slug, page, function(err) {
+          assert(!err);
+          return request(serve, '/counted/b', { xhr: false }, function(res) {
+            pages.options.outerLayout = outerLayout;
+            assert(res.body === 'Bee');
+            assert(renders['/counted/b'] === 3);
+            return done();
+          });
+        });
+      });
+    });
+  });
+  describe('relatives', function() {
+    var renders = 0;
+    it('inserted a page that lists its children', function(done) {
+      pages.addType({ name: 'childList', label: 'Child List', template: function(args) {
+        renders++;
+        return _.pluck(args.page.children, 'title').join(',');
+      } });
+      return apos.pages.insert([
+        { _id: 'lazy', path: 'home/lazy', title: 'Lazy', sortTitle: 'lazy', level: 1, rank: 21, slug: '/lazy', type: 'childList', published: true, areas: {} },
+        { _id: 'lazyKid', path: 'home/lazy/kid', title: 'Kid', sortTitle: 'kid', level: 2, rank: 0, slug: '/lazy/kid', type: 'plain', published: true, areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('fetches only the relatives that are switched on', function(done) {
+      var page;
+      var serve = pages.serve({
+        peers: false,
+        tabs: false,
+        descendants: false,
+        load: [ function(req, callback) {
+          page = req.bestPage;
+          return callback(null);
+        } ]
+      });
+      return request(serve, '/lazy/kid', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(page.ancestors.length === 2);
+        assert(page.parent.slug === '/lazy');
+        assert(page.peers === undefined);
+        assert(page.tabs === undefined);
+        assert(page.children === undefined);
+        return done();
+      });
+    });
+    it('fetches relatives in lazy mode when the template reads them', function(done) {
+      var serve = pages.serve({ lazyRelatives: true });
+      return request(serve, '/lazy', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Kid');
+        assert(renders === 2);
+        // The next request knows the template wants the children
+        return request(serve, '/lazy', {}, function(res) {
+          assert(res.body === 'Kid');
+          assert(renders === 3);
+          return done();
+        });
+      });
+    });
+    it('lets loaders ask for relatives in lazy mode', function(done) {
+      var count;
+      var serve = pages.serve({
+        lazyRelatives: true,
+        load: [ function(req, callback) {
+          return req.loadRelatives([ 'children' ], function(err) {
+            assert(!err);
+            count = req.bestPage.children.length;
+            return callback(null);
+          });
+        } ]
+      });
+      return request(serve, '/lazy', {}, function(res) {
+        assert(res.body === 'Kid');
+        assert(count === 1);
+        assert(renders === 4);
+        return done();
+      });
+    });
+  });
+  describe('loader registry', function() {
+    var loaders;
+    var order;
+    function record(name) {
+      return function(req, callback) {
+        order.push(name);
+        return callback(null);
+      };
+    }
+    it('runs loaders after the ones they depend on', function(done) {
+      loaders = pages.loaders;
+      order = [];
+      pages.addLoader({ name: 'third', after: [ 'second' ], load: record('third') });
+      pages.addLoader({ name: 'second', after: [ 'first', 'missing' ], load: record('second') });
+      pages.addLoader({ name: 'first', load: record('wrong') });
+      // Same name, so this replaces the one above
+      pages.addLoader({ name: 'first', load: record('first') });
+      pages.addLoader({ name: 'othersOnly', types: [ 'counted' ], load: record('othersOnly') });
+      return request(pages.serve({}), '/plain', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(order.join(',') === 'first,second,third');
+        return done();
+      });
+    });
+    it('runs loaders limited to types only for those types', function(done) {
+      order = [];
+      return request(pages.serve({}), '/counted', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(_.contains(order, 'othersOnly'));
+        return done();
+      });
+    });
+    it('names the loader that failed', function(done) {
+      var error;
+      pages.addLoader({ name: 'failing', load: function(req, callback) {
+        return callback('oops');
+      } });
+      var serve = pages.serve({
+        errorHandler: function(err, req, res) {
+          error = err;
+        }
+      });
+      return request(serve, '/plain', {}, function(res) {
+        assert(res.statusCode === 500);
+        assert(error.loader === 'failing');
+        assert(error.cause === 'oops');
+        return done();
+      });
+    });
+    it('refuses loaders that depend on each other in a cycle', function(done) {
+      var error;
+      order = [];
+      pages.loaders = [];
+      pages.addLoader({ name: 'chicken', after: [ 'egg' ], load: record('chicken') });
+      pages.addLoader({ name: 'egg', after: [ 'chicken' ], load: record('egg') });
+      var serve = pages.serve({
+        errorHandler: function(err, req, res) {
+          error = err;
+        }
+      });
+      return request(serve, '/plain', {}, function(res) {
+        pages.loaders = loaders;
+        assert(res.statusCode === 500);
+        assert(error.message.indexOf('cycle') !== -1);
+        assert(!order.length);
+        return done();
+      });
+    });
+  });
+  describe('type hooks', function() {
+    var loaders;
+    it('inserted a page of a type with its own hooks', function(done) {
+      pages.addType({
+        name: 'directory',
+        label: 'Directory',
+        load: function(req, callback) {
+          req.extras.people = [ 'ann', 'bob' ];
+          return callback(null);
+        },
+        template: function(args, req) {
+          return 'People: ' + req.extras.people.join(',') + ' ' + req.extras.count;
+        },
+        notfound: function(req, callback) {
+          var name = req.remainder.substr(1);
+          if (_.contains(req.extras.people, name)) {
+            req.page = req.bestPage;
+            req.template = function() {
+              return 'Entry: ' + name;
+            };
+          }
+          return callback(null);
+        }
+      });
+      loaders = pages.loaders;
+      pages.addLoader({ name: 'count', after: [ 'type:directory' ], load: function(req, callback) {
+        req.extras.count = req.extras.people ? req.extras.people.length : 0;
+        return callback(null);
+      } });
+      return apos.pages.insert({ _id: 'directory', path: 'home/directory', title: 'Directory', sortTitle: 'directory', level: 1, rank: 22, slug: '/directory', type: 'directory', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('runs the load hook before loaders that name it and renders the template', function(done) {
+      return request(pages.serve({}), '/directory', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'People: ann,bob 2');
+        return done();
+      });
+    });
+    it('lets the notfound hook accept a partial match', function(done) {
+      return request(pages.serve({}), '/directory/bob', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Entry: bob');
+        return done();
+      });
+    });
+    it('sends a 404 when the notfound hook declines', function(done) {
+      return request(pages.serve({}), '/directory/carl', {}, function(res) {
+        pages.loaders = loaders;
+        assert(res.statusCode === 404);
+        return done();
+      });
+    });
+  });
+  describe('timing', function() {
+    it('formats Server-Timing metrics', function() {
+      var header = pages.formatServerTiming({ steps: { page: 1.25, load: 3 }, loaders: { 'type:blog': 2.5 }, total: 7 });
+      assert(header === 'page;dur=1.3, load;dur=3.0, loader.type_blog;desc="type:blog";dur=2.5, total;dur=7.0');
+    });
+    it('reports the steps of each request', function(done) {
+      var reported;
+      pages.once('timing', function(timing) {
+        reported = timing;
+      });
+      return request(pages.serve({}), '/plain', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(!res.headers['server-timing']);
+        assert(reported.slug === '/plain');
+        assert(reported.status === 200);
+        assert(typeof(reported.steps.page) === 'number');
+        assert(typeof(reported.steps.render) === 'number');
+        assert(reported.total >= reported.steps.page);
+        return done();
+      });
+    });
+    it('sends a Server-Timing header to admins', function(done) {
+      return request(pages.serve({}), '/plain', { user: { _id: 'admin', permissions: { admin: true } } }, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.headers['server-timing'].match(/(^|, )page;dur=[\d\.]+/));
+        assert(res.headers['server-timing'].match(/total;dur=[\d\.]+$/));
+        return done();
+      });
+    });
+  });
+  describe('multiple sites', function() {
+    var spring = { path: 'spring', prefix: '/spring', hostnames: [ 'spring.example.com' ] };
+    it('inserted a second tree', function(done) {
+      pages.sites.push(spring);
+      return apos.pages.insert([
+        { _id: 'springHome', path: 'spring', title: 'Spring', sortTitle: 'spring', level: 0, rank: 0, slug: '/spring', type: 'plain', published: true, areas: {} },
+        { _id: 'springAbout', path: 'spring/about', title: 'Spring About', sortTitle: 'spring about', level: 1, rank: 0, slug: '/spring/about', type: 'plain', published: true, areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('chooses the site by hostname', function() {
+      assert(pages.getSite({ headers: { host: 'Spring.Example.com:3000' } }) === spring);
+      assert(pages.getSite({ headers: { host: 'unknown.example.com' } }) === pages.sites[0]);
+      assert(pages.getSiteOfPage({ path: 'spring/about' }) === spring);
+      assert(pages.getSiteOfPage({ path: 'home/plain' }) === pages.sites[0]);
+      assert(pages.getSiteOfPage({ slug: 'global' }) === undefined);
+    });
+    it('converts between URLs and stored slugs', function() {
+      assert(pages.prefixSlug(spring, '/') === '/spring');
+      assert(pages.prefixSlug(spring, '/about') === '/spring/about');
+      assert(pages.prefixSlug(pages.sites[0], '/about') === '/about');
+      assert(pages.getSiteSlug(spring, '/spring') === '/');
+      assert(pages.getSiteSlug(spring, '/spring/about') === '/about');
+      assert(pages.getSiteSlug(spring, '/springtime') === '/springtime');
+    });
+    it('serves the pages of the site for its hostname', function(done) {
+      return request(pages.serve({}), '/about', { headers: { host: 'spring.example.com' } }, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Plain: Spring About');
+        return request(pages.serve({}), '/', { headers: { host: 'spring.example.com' } }, function(res) {
+          assert(res.statusCode === 200);
+          assert(res.body === 'Plain: Spring');
+          return done();
+        });
+      });
+    });
+    it('keeps other hostnames out of the tree', function(done) {
+      return request(pages.serve({}), '/spring/about', {}, function(res) {
+        pages.sites.pop();
+        assert(res.statusCode === 404);
+        return done();
+      });
+    });
+  });
+  describe('page metadata', function() {
+    function meta(head, key) {
+      var item = _.find(head.meta, function(item) {
+        return (item.name === key) || (item.property === key);
+      });
+      return item && item.content;
+    }
+    it('generates Open Graph and Twitter card tags', function() {
+      var args = {
+        content: '<!-- APOS-TITLE About Us -->',
+        absoluteUrl: 'http://example.com/about?x=1',
+        page: { title: 'About', slug: '/about', seoDescription: 'All about us', shareImage: '/images/us.jpg' }
+      };
+      pages.decoratePageContent(args);
+      assert(meta(args.head, 'og:title') === 'About Us');
+      assert(meta(args.head, 'og:description') === 'All about us');
+      assert(meta(args.head, 'og:url') === 'http://example.com/about');
+      assert(meta(args.head, 'og:image') === 'http://example.com/images/us.jpg');
+      assert(meta(args.head, 'twitter:card') === 'summary_large_image');
+      assert(meta(args.head, 'twitter:title') === 'About Us');
+    });
+    it('leaves tags set by templates alone', function() {
+      var head = pages.newHead();
+      head.addMeta({ property: 'og:title', content: 'Custom' });
+      var args = { content: '', head: head, page: { title: 'About', slug: '/about' } };
+      pages.decoratePageContent(args);
+      assert(meta(args.head, 'og:title') === 'Custom');
+      assert(meta(args.head, 'twitter:card') === 'summary');
+      assert(meta(args.head, 'og:description') === undefined);
+    });
+    it('outputs JSON-LD for the page, its breadcrumbs and its type', function() {
+      pages.addType({ name: 'event', label: 'Event', jsonLd: function(page) {
+        return { '@context': 'http://schema.org', '@type': 'Event', name: page.title };
+      } });
+      var args = {
+        content: '',
+        absoluteUrl: 'http://example.com/events/party',
+        page: { title: 'Party', slug: '/events/party', type: 'event', ancestors: [ { title: 'Home', slug: '/' }, { title: 'Events', slug: '/events' } ] }
+      };
+      pages.decoratePageContent(args);
+      var types = _.pluck(args.head.jsonLd, '@type');
+      assert(types.join(',') === 'WebPage,BreadcrumbList,Event');
+      var crumbs = args.head.jsonLd[1].itemListElement;
+      assert(crumbs.length === 3);
+      assert(crumbs[0].item['@id'] === 'http://example.com/');
+      assert(crumbs[2].position === 3);
+      assert(crumbs[2].item.name === 'Party');
+    });
+  });
+  describe('alias slugs', function() {
+    it('inserted a page with an alias', function(done) {
+      return apos.pages.insert({ _id: 'aliased', path: 'home/aliased', title: 'Aliased', sortTitle: 'aliased', level: 1, rank: 23, slug: '/aliased', aliases: [ '/promo' ], type: 'plain', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('finds the page by its alias', function(done) {
+      return pages.getPageByAlias(apos.getTaskReq(), '/promo', function(err, page) {
+        assert(!err);
+        assert(page._id === 'aliased');
+        return done();
+      });
+    });
+    it('serves the page at its alias with a canonical link', function(done) {
+      return request(pages.serve({}), '/promo', {}, function(res, req) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Plain: Aliased');
+        var canonical = _.findWhere(req.head.links, { rel: 'canonical' });
+        assert(canonical.href.match(/\/aliased$/));
+        return done();
+      });
+    });
+    it('redirects to the page with the aliasRedirect option', function(done) {
+      return request(pages.serve({ aliasRedirect: true }), '/promo?utm_source=mail', {}, function(res) {
+        assert(res.statusCode === 301);
+        assert(res.location === '/aliased?utm_source=mail');
+        return done();
+      });
+    });
+    it('matches only the exact alias', function(done) {
+      return request(pages.serve({}), '/promo/more', {}, function(res) {
+        assert(res.statusCode === 404);
+        return done();
+      });
+    });
+  });
+  describe('redirect chains', function() {
+    // The redirects whose from begins with prefix, as an object of from: to
+    function getRedirects(prefix, callback) {
+      return apos.redirects.find({ from: new RegExp('^' + prefix) }).toArray(function(err, redirects) {
+        assert(!err);
+        var map = {};
+        _.each(redirects, function(redirect) {
+          map[redirect.from] = redirect.to;
+        });
+        return callback(map);
+      });
+    }
+    it('removed redirects left by earlier runs', function(done) {
+      return apos.redirects.remove({ from: /^\/(r|c)\// }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('points older redirects at the newest slug', function(done) {
+      return pages.updateRedirect('/r/a', '/r/b', function(err) {
+        assert(!err);
+        return pages.updateRedirect('/r/b', '/r/c', function(err) {
+          assert(!err);
+          return getRedirects('/r/', function(redirects) {
+            assert(_.isEqual(redirects, { '/r/a': '/r/c', '/r/b': '/r/c' }));
+            return done();
+          });
+        });
+      });
+    });
+    it('drops the redirect from a slug that is used again', function(done) {
+      return pages.updateRedirect('/r/c', '/r/a', function(err) {
+        assert(!err);
+        return getRedirects('/r/', function(redirects) {
+          assert(_.isEqual(redirects, { '/r/b': '/r/a', '/r/c': '/r/a' }));
+          return done();
+        });
+      });
+    });
+    it('records no redirect from a live page or to itself', function(done) {
+      return pages.updateRedirect('/plain', '/r/elsewhere', function(err) {
+        assert(!err);
+        return pages.updateRedirect('/r/same', '/r/same', function(err) {
+          assert(!err);
+          return getRedirects('/(plain|r/same)', function(redirects) {
+            assert(_.isEmpty(redirects));
+            return done();
+          });
+        });
+      });
+    });
+    it('repairs chains and loops recorded earlier', function(done) {
+      return apos.redirects.insert([
+        { from: '/c/1', to: '/c/2' },
+        { from: '/c/2', to: '/c/3' },
+        { from: '/c/x', to: '/c/y' },
+        { from: '/c/y', to: '/c/x' },
+        { from: '/c/live', to: '/plain' },
+        { from: '/plain', to: '/c/live' }
+      ], function(err) {
+        assert(!err);
+        return pages.cleanRedirects(function(err) {
+          assert(!err);
+          return getRedirects('/(c/|plain)', function(redirects) {
+            assert(_.isEqual(redirects, { '/c/1': '/c/3', '/c/2': '/c/3', '/c/live': '/plain' }));
+            return done();
+          });
+        });
+      });
+    });
+  });
+  describe('remainder routes', function() {
+    it('matches the first route whose pattern fits', function() {
+      var routes = [ { pattern: '/' }, { pattern: '/tags/:tag' }, { pattern: '/:year/:slug' }, { pattern: '/:slug' } ];
+      assert(pages.matchRoute(routes, '/').route === routes[0]);
+      var matched = pages.matchRoute(routes, '/2013/kittens');
+      assert(matched.route === routes[2]);
+      assert(_.isEqual(matched.params, { year: '2013', slug: 'kittens' }));
+      matched = pages.matchRoute(routes, '/tags/cats');
+      assert(matched.route === routes[1]);
+      assert(matched.params.tag === 'cats');
+      assert(pages.matchRoute(routes, '/kittens').params.slug === 'kittens');
+      assert(pages.matchRoute(routes, '/2013/kittens/more') === null);
+      assert(pages.matchRoute([ { pattern: '/a.b' } ], '/axb') === null);
+    });
+    it('inserted a page whose type has routes', function(done) {
+      pages.addType({
+        name: 'archive',
+        label: 'Archive',
+        load: function(req, callback) {
+          req.extras.prefix = 'Post';
+          return callback(null);
+        },
+        routes: [
+          { pattern: '/', template: function() {
+            return 'Index';
+          } },
+          { pattern: '/:year/:slug', handler: function(req, callback) {
+            if (req.remainderParams.year < 2000) {
+              req.notfound = true;
+            }
+            req.extras.post = req.extras.prefix + ' ' + req.remainderParams.slug;
+            return callback(null);
+          }, template: function(args, req) {
+            return req.extras.post + ' from ' + req.remainderParams.year;
+          } }
+        ]
+      });
+      return apos.pages.insert({ _id: 'archive', path: 'home/archive', title: 'Archive', sortTitle: 'archive', level: 1, rank: 24, slug: '/archive', type: 'archive', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('serves the page itself with the / route', function(done) {
+      return request(pages.serve({}), '/archive', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Index');
+        return done();
+      });
+    });
+    it('runs the handler of the matching route after the type loader', function(done) {
+      return request(pages.serve({}), '/archive/2013/kittens', {}, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Post kittens from 2013');
+        return done();
+      });
+    });
+    it('sends a 404 when nothing matches or the handler declines', function(done) {
+      return request(pages.serve({}), '/archive/2013', {}, function(res) {
+        assert(res.statusCode === 404);
+        return request(pages.serve({}), '/archive/1999/party', {}, function(res) {
+          assert(res.statusCode === 404);
+          return done();
+        });
+      });
+    });
+  });
+  describe('restricted pages', function() {
+    var getPermissionsCriteria;
+    it('inserted a page that requires a login', function(done) {
+      // Let the page step find the page, so the permissions step decides
+      getPermissionsCriteria = apos.getPermissionsCriteria;
+      apos.getPermissionsCriteria = function() {
+        return {};
+      };
+      return apos.pages.insert({ _id: 'members', path: 'home/members', title: 'Members', sortTitle: 'members', level: 1, rank: 25, slug: '/members', type: 'plain', published: true, loginRequired: 'certainPeople', areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('sends a 401 to visitors who are not logged in', function(done) {
+      return request(pages.serve({}), '/members', {}, function(res) {
+        assert(res.statusCode === 401);
+        assert(res.body.indexOf('Members') === -1);
+        return done();
+      });
+    });
+    it('sends a 403 to users who may not see the page', function(done) {
+      return request(pages.serve({}), '/members', { user: { _id: 'someone', permissions: {} } }, function(res) {
+        assert(res.statusCode === 403);
+        assert(res.body.indexOf('Members') === -1);
+        return done();
+      });
+    });
+    it('redirects to the login page with the loginUrl option', function(done) {
+      var session = {};
+      return request(pages.serve({ loginUrl: '/login' }), '/members?tab=2', { xhr: false, session: session }, function(res) {
+        apos.getPermissionsCriteria = getPermissionsCriteria;
+        assert(res.statusCode === 302);
+        assert(res.location === '/login?returnTo=%2Fmembers%3Ftab%3D2');
+        assert(pages.getReturnTo({ query: {}, session: session }) === '/members?tab=2');
+        assert(!session.aposPagesReturnTo);
+        return done();
+      });
+    });
+    it('accepts only return URLs on this site', function() {
+      assert(pages.getReturnTo({ query: { returnTo: '/about' } }) === '/about');
+      assert(pages.getReturnTo({ query: { returnTo: '//evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/\\evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: 'http://evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/\t/evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/\n/evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/\r\n/evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/ /evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/\u0000/evil.com' } }) === undefined);
+      assert(pages.getReturnTo({ query: { returnTo: '/about?tab=2' } }) === '/about?tab=2');
+      assert(pages.getReturnTo({ query: {}, body: { returnTo: [ '/about' ] } }) === undefined);
+    });
+  });
+  describe('anonymous page cache and permissions', function() {
+    var outerLayout;
+    var getPermissionsCriteria;
+    var serve;
+    it('inserted a restricted section with a public subpage', function(done) {
+      outerLayout = pages.options.outerLayout;
+      pages.options.outerLayout = function(args) {
+        return args.content;
+      };
+      // Let the page step find restricted pages, so the permissions step decides
+      getPermissionsCriteria = apos.getPermissionsCriteria;
+      apos.getPermissionsCriteria = function() {
+        return {};
+      };
+      serve = pages.serve({ cache: true });
+      return apos.pages.insert([
+        { _id: 'guarded', path: 'home/guarded', title: 'Guarded', sortTitle: 'guarded', level: 1, rank: 26, slug: '/guarded', type: 'plain', published: true, loginRequired: 'loginRequired', areas: {} },
+        { _id: 'guardedOpen', path: 'home/guarded/open', title: 'Open', sortTitle: 'open', level: 2, rank: 0, slug: '/guarded/open', type: 'plain', published: true, areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('caches the public subpage', function(done) {
+      return request(serve, '/guarded/open', { xhr: false }, function(res) {
+        assert(res.statusCode === 200);
+        assert(res.body === 'Plain: Open');
+        return done();
+      });
+    });
+    it('drops the cached subpage when the restriction is applied to subpages', function(done) {
+      return apos.pages.findOne({ _id: 'guarded' }, function(err, guarded) {
+        assert(!err);
+        var req = apos.getTaskReq();
+        return pages.applyPermissions(req, { loginRequired: 'loginRequired', loginRequiredPropagate: '1' }, guarded, function(err) {
+          assert(!err);
+          return apos.putPage(req, guarded.slug, guarded, function(err) {
+            assert(!err);
+            return request(serve, '/guarded/open', { xhr: false }, function(res) {
+              pages.options.outerLayout = outerLayout;
+              apos.getPermissionsCriteria = getPermissionsCriteria;
+              assert(res.statusCode === 401);
+              assert(res.body !== 'Plain: Open');
+              return done();
+            });
+          });
+        });
+      });
+    });
+  });
+  describe('headless access to relatives', function() {
+    it('inserted a page with a protected subpage', function(done) {
+      return apos.pages.insert([
+        { _id: 'jsonParent', path: 'home/json', title: 'Json', sortTitle: 'json', level: 1, rank: 27, slug: '/json', type: 'plain', published: true, areas: {} },
+        { _id: 'jsonChild', path: 'home/json/child', title: 'Json Child', sortTitle: 'json child', level: 2, rank: 0, slug: '/json/child', type: 'plain', published: true, loginRequired: 'passphrase', passphrase: { salt: 'salt', hash: 'hash' }, previews: [ { subtree: false, expires: new Date() } ], lowSearchText: 'json child', areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('prunes the relatives it sends', function(done) {
+      return request(pages.serve({}), '/json?format=json', { user: { _id: 'admin', permissions: { admin: true } } }, function(res) {
+        assert(res.statusCode === 200);
+        var data = JSON.parse(res.body);
+        assert(data.children.length === 1);
+        assert(data.children[0].slug === '/json/child');
+        assert(!data.children[0].passphrase);
+        assert(!data.children[0].previews);
+        assert(!data.children[0].lowSearchText);
+        assert(data.ancestors.length === 1);
+        return done();
+      });
+    });
+  });
+  describe('page metadata in lazy mode', function() {
+    var outerLayout;
+    it('inserted a page whose template reads its ancestors', function(done) {
+      pages.addType({ name: 'crumbs', label: 'Crumbs', template: function(args) {
+        return _.pluck(args.page.ancestors, 'title').join(' > ');
+      } });
+      outerLayout = pages.options.outerLayout;
+      pages.options.outerLayout = function(args) {
+        return args.head.html() + args.content;
+      };
+      return apos.pages.insert({ _id: 'crumbs', path: 'home/lazy/crumbs', title: 'Crumbs', sortTitle: 'crumbs', level: 2, rank: 1, slug: '/lazy/crumbs', type: 'crumbs', published: true, areas: {} }, function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('outputs each JSON-LD block once when rendering again', function(done) {
+      return request(pages.serve({ lazyRelatives: true }), '/lazy/crumbs', { xhr: false }, function(res, req) {
+        assert(res.statusCode === 200);
+        assert(_.pluck(req.head.jsonLd, '@type').join(',') === 'WebPage,BreadcrumbList');
+        assert(res.body.split('"@type":"WebPage"').length === 2);
+        assert(res.body.split('"@type":"BreadcrumbList"').length === 2);
+        return done();
+      });
+    });
+    it('does not fetch ancestors just for the breadcrumbs', function(done) {
+      var fetched = false;
+      var serve = pages.serve({
+        lazyRelatives: true,
+        load: [ function(req, callback) {
+          req.template = function() {
+            return 'No navigation';
+          };
+          return callback(null);
+        } ]
+      });
+      pages.once('timing', function(timing) {
+        fetched = !!timing.req.loadedRelatives.ancestors;
+      });
+      return request(serve, '/lazy/crumbs', { xhr: false }, function(res, req) {
+        pages.options.outerLayout = outerLayout;
+        assert(res.statusCode === 200);
+        assert(!fetched);
+        assert(_.pluck(req.head.jsonLd, '@type').join(',') === 'WebPage');
+        return done();
+      });
+    });
+  });
+  describe('sitemap base URLs', function() {
+    function req(host) {
+      return {
+        protocol: 'http',
+        get: function(name) {
+          return host;
+        }
+      };
+    }
+    it('uses the Host header only for hostnames of the site', function() {
+      var site = { path: 'spring', prefix: '/spring', hostnames: [ 'spring.example.com', 'www.spring.example.com' ] };
+      assert(pages.getSitemapBaseUrl(req('www.spring.example.com:3000'), site) === 'http://www.spring.example.com:3000');
+      assert(pages.getSitemapBaseUrl(req('evil.com'), site) === 'http://spring.example.com');
+    });
+    it('keeps a limited number of base URLs in memory', function(done) {
+      var superGetSitemap = pages.getSitemap;
+      var builds = 0;
+      pages.getSitemap = function(site, callback) {
+        builds++;
+        return callback(null, []);
+      };
+      pages.clearCache();
+      var i = 0;
+      return fetchNext();
+      function fetchNext() {
+        if (i === 30) {
+          // The first one was dropped to make room
+          return pages.getCachedSitemapFiles(pages.sites[0], 'http://host0.example.com', function(err) {
+            pages.getSitemap = superGetSitemap;
+            assert(!err);
+            assert(builds === 31);
+            return done();
+          });
+        }
+        return pages.getCachedSitemapFiles(pages.sites[0], 'http://host' + (i++) + '.example.com', function(err) {
+          assert(!err);
+          return fetchNext();
+        });
+      }
+    });
+  });
+  describe('passphrase attempts', function() {
+    it('locks out an address after too many wrong guesses', function() {
+      var guesser = { ip: '192.0.2.1' };
+      var other = { ip: '192.0.2.2' };
+      var i;
+      for (i = 0; (i < 4); i++) {
+        pages.notePassphraseFailure(guesser);
+      }
+      assert(!pages.passphraseLocked(guesser));
+      pages.notePassphraseFailure(guesser);
+      assert(pages.passphraseLocked(guesser));
+      assert(!pages.passphraseLocked(other));
+    });
+  });
+  describe('passphrase propagation', function() {
+    it('inserted a section with two subpages', function(done) {
+      return apos.pages.insert([
+        { _id: 'club', path: 'home/club', title: 'Club', sortTitle: 'club', level: 1, rank: 28, slug: '/club', type: 'plain', published: true, areas: {} },
+        { _id: 'clubOne', path: 'home/club/one', title: 'One', sortTitle: 'one', level: 2, rank: 0, slug: '/club/one', type: 'plain', published: true, areas: {} },
+        { _id: 'clubTwo', path: 'home/club/two', title: 'Two', sortTitle: 'two', level: 2, rank: 1, slug: '/club/two', type: 'plain', published: true, areas: {} }
+      ], function(err) {
+        assert(!err);
+        return done();
+      });
+    });
+    it('gives every subpage the setting and the passphrase', function(done) {
+      return apos.pages.findOne({ _id: 'club' }, function(err, club) {
+        assert(!err);
+        var req = apos.getTaskReq();
+        var data = { loginRequired: 'passphrase', passphrase: 'members only', loginRequiredPropagate: '1' };
+        return pages.applyPermissions(req, data, club, function(err) {
+          assert(!err);
+          return pages.applyPassphrase(req, data, club, function(err) {
+            assert(!err);
+            return apos.pages.find({ path: /^home\/club\// }).toArray(function(err, subpages) {
+              assert(!err);
+              assert(subpages.length === 2);
+              _.each(subpages, function(subpage) {
+                assert(subpage.loginRequired === 'passphrase');
+                assert(subpage.passphrase.hash === club.passphrase.hash);
+              });
+              return done();
+            });
+          });
+        });
+      });
+    });
+  });
+  describe('edits that leave settings out', function() {
+    // Save the page settings of /coming-soon with the given extra fields
+    function edit(fields, callback) {
+      var req = {
+        user: {
+          permissions: {
+            admin: true
+          }
+        },
+        body: _.extend({
+          originalSlug: '/coming-soon',
+          slug: '/coming-soon',
+          title: 'Coming Soon',
+          published: true,
+          type: 'default'
+        }, fields)
+      };
+      var res = {
+        send: function(data) {
+          assert((!res.statusCode) || (res.statusCode === 200));
+          return apos.pages.findOne({ slug: '/coming-soon' }, function(err, page) {
+            assert(!err);
+            return callback(page);
+          });
+        }
+      };
+      return pages._editRoute(req, res);
+    }
+    it('keep the publishing schedule', function(done) {
+      return edit({}, function(page) {
+        assert(page.publishAt.getTime() === Date.parse('2030-01-01T14:00:00.000Z'));
+        return edit({ publishAt: '' }, function(page) {
+          assert(page.publishAt === null);
+          return done();
+        });
+      });
+    });
+    it('keep the sitemap settings', function(done) {
+      return edit({ sitemapPriority: '0.8', sitemapChangefreq: 'weekly' }, function(page) {
+        assert(page.sitemapPriority === 0.8);
+        return edit({}, function(page) {
+          assert(page.sitemapPriority === 0.8);
+          assert(page.sitemapChangefreq === 'weekly');
+          return done();
+        });
+      });
+    });
+    it('keep the feed setting', function(done) {
+      return edit({ feed: '1' }, function(page) {
+        assert(page.feed === true);
+        return edit({}, function(page) {
+          assert(page.feed === true);
+          return edit({ feed: '0' }, function(page) {
+            assert(page.feed === false);
+            return done();
+          });
+        });
+      });
+    });
+  });
+  describe('relatives without ancestors', function() {
+    it('finds peers and tabs without fetching or offering all the ancestors', function(done) {
+      var page;
+      var criteria = [];
+      var superGetAncestors = pages.getAncestors;
+      pages.getAncestors = function(req, page, criteriaArg, options, callback) {
+        criteria.push(criteriaArg);
+        return superGetAncestors.apply(pages, arguments);
+      };
+      var serve = pages.serve({
+        ancestors: false,
+        descendants: false,
+        load: [ function(req, callback) {
+          page = req.bestPage;
+          return callback(null);
+        } ]
+      });
+      return request(serve, '/counted/a', {}, function(res) {
+        pages.getAncestors = superGetAncestors;
+        assert(res.statusCode === 200);
+        assert(page.ancestors === undefined);
+        assert(page.parent === undefined);
+        assert(_.contains(_.pluck(page.peers, 'slug'), '/counted/b'));
+        assert(_.contains(_.pluck(page.tabs, 'slug'), '/counted'));
+        // Only the home page and the parent, level 0 and 1
+        assert(criteria.length);
+        assert(_.every(criteria, function(criteriaArg) {
+          return _.isEqual(criteriaArg, { level: { $in: [ 0, 1 ] } });
+        }));
+        return done();
+      });
+    });
+  });
 });
 